@@ -2,11 +2,49 @@
 /* Licenza: CC BY-NC-ND 4.0 - https://creativecommons.org/licenses/by-nc-nd/4.0/ */
 
 // ========== STATE MANAGEMENT ==========
+// Points per place for intermediate and final sprints
+const SCORING_PRESETS = {
+    fisr: { label: 'FISR', intermediate: [2, 1], final: [3, 2, 1] },
+    world_skate: { label: 'World Skate', intermediate: [5, 3, 2, 1], final: [10, 6, 4, 2] },
+    custom: { label: 'Personalizzato', intermediate: null, final: null }
+};
+
+function defaultScoring() {
+    return {
+        preset: 'fisr',
+        intermediate: [...SCORING_PRESETS.fisr.intermediate],
+        final: [...SCORING_PRESETS.fisr.final]
+    };
+}
+
+function defaultSanctionRules() {
+    return { warningLimit: 2, escalation: 'yellow_card', escalationPoints: 5 };
+}
+
+function defaultTeamRules() {
+    return { basis: 'points', bestCount: 3, placingPoints: [10, 8, 6, 5, 4, 3, 2, 1] };
+}
+
 const state = {
     // Configuration
     config: {
         totalLaps: 0,
-        pointsFrequency: 'every_lap' // 'every_lap' or 'every_2_laps'
+        raceType: 'points', // 'points', 'elimination' or 'points_elimination'
+        // Sprints every N laps counted back from the finish ('every'), or at an explicit
+        // list of laps to go ('laps', e.g. [30, 20, 10, 0]); lap 0 is always the final sprint
+        sprintSchedule: { mode: 'every', every: 1, laps: [] },
+        checkpointPattern: ['points', 'elimination'], // Points-elimination race: repeating checkpoint types
+        deadHeatRule: 'shared', // Tied athletes: 'shared' points of the places they occupy or 'full' points each
+        categoryScoring: 'overall', // Sprint points shared by the whole field ('overall') or awarded in each category ('by_category')
+        lapBonus: 20, // Points for gaining a lap on the main pack
+        lapPenalty: 20, // Points deducted for losing a lap
+        // Sanction given automatically once an athlete collects warningLimit warnings:
+        // 'yellow_card', 'deduction' (of escalationPoints) or 'disqualification'
+        sanctionRules: defaultSanctionRules(),
+        // Club classification: sum of the best bestCount athletes of each club, counting their
+        // race points ('points') or the placingPoints of their overall position ('placing')
+        teamRules: defaultTeamRules(),
+        scoring: defaultScoring()
     },
     
     // Race state
@@ -20,19 +58,35 @@ const state = {
     // Current checkpoint tracking
     currentCheckpoint: {
         number: 0,
+        type: 'points', // 'points', 'elimination', 'finish' (arrival order) or 'closed' (none left)
         assignedAthletes: [], // [{number, points}, ...]
-        availablePoints: [] // [3, 2, 1] or [2, 1]
+        availablePoints: [], // Remaining values of the active scoring profile
+        categoryPoints: {} // Points awarded by category: remaining values per category
     },
     
     // Checkpoint history for undo
     checkpointHistory: [],
+
+    // Multi-heat session: { heats: [{ name, athletes, results, isFinal }], currentHeat, finalistsPerHeat }
+    event: null,
+
+    // The ended race has already been added to the championship
+    addedToChampionship: false,
     
     // Action log
-    actionLog: []
+    actionLog: [],
+
+    // Every race command as a typed event, in order: replaying them from 'race_start'
+    // rebuilds the race (see applyRaceEvent)
+    raceEvents: []
 };
 
 // Athletes preloaded from starting list URL
 let preloadedAthletes = [];
+// All batteries of the starting list, when the whole session is run
+let preloadedHeats = [];
+// An archived race is open read-only on the race screen
+let viewingArchive = false;
 
 // Athlete data structure
 class Athlete {
@@ -40,18 +94,57 @@ class Athlete {
         this.number = number;
         this.name = name;
         this.surname = surname;
+        this.category = ''; // e.g. "Allievi M"; athletes without one only appear in the overall ranking
+        this.club = ''; // Società, as printed on the official result sheets
+        this.licence = ''; // Federation licence (tessera) number
         this.points = 0;
-        this.status = 'normal'; // 'normal', 'lapped', 'disqualified'
-        this.savedPoints = 0; // For lapped/disqualified recovery
+        this.status = 'normal'; // 'normal', 'eliminated', 'lapped', 'dnf', 'dns', 'disqualified', 'out_of_race'
+        this.savedPoints = 0; // For lapped/withdrawn recovery
+        this.eliminatedAt = null; // Checkpoint number of the elimination
+        this.lappedAt = null; // Checkpoint number at which the athlete was lapped
+        this.lapDelta = 0; // Laps gained (+) or lost (-) on the main pack
+        this.sanctions = []; // Warnings, yellow cards and deductions, in the order given
     }
 }
 
+// Optional athlete details, shown as leaderboard and PDF columns only when some athlete has them
+const ATHLETE_DETAIL_FIELDS = [
+    { key: 'club', label: 'Società', logLabel: 'società', editInputId: 'editAthleteClub' },
+    { key: 'category', label: 'Categoria', logLabel: 'categoria', editInputId: 'editAthleteCategory' },
+    { key: 'licence', label: 'Tessera', logLabel: 'tessera', editInputId: 'editAthleteLicence' }
+];
+
+function getAthleteDetailFields(athletes) {
+    return ATHLETE_DETAIL_FIELDS.filter(field => athletes.some(athlete => athlete[field.key]));
+}
+
 // ========== UTILITY FUNCTIONS ==========
+// While the race is rebuilt from its events, the log keeps the time each event happened
+let replayTime = null;
+
 function timestamp() {
-    const now = new Date();
+    const now = replayTime ? new Date(replayTime) : new Date();
     return now.toLocaleTimeString('it-IT', { hour: '2-digit', minute: '2-digit', second: '2-digit' });
 }
 
+// Text from outside the app (imported files, free-text fields) before it goes into innerHTML
+function escapeHtml(text) {
+    const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+    return String(text).replace(/[&<>"']/g, char => entities[char]);
+}
+
+// Shared dead-heat points are kept exact (e.g. 10/3 each): totals are compared allowing
+// for floating-point error and only rounded to two decimals when shown
+const POINTS_TOLERANCE = 1e-9;
+
+function comparePoints(a, b) {
+    return Math.abs(a - b) < POINTS_TOLERANCE ? 0 : a - b;
+}
+
+function formatPoints(points) {
+    return String(Math.round(points * 100) / 100);
+}
+
 function logAction(message) {
     state.actionLog.push({
         timestamp: timestamp(),
@@ -61,37 +154,226 @@ function logAction(message) {
     saveToLocalStorage();
 }
 
+// Plain-object copy of the race, as stored in localStorage, in the archive and in exported files
+function serializeState() {
+    return {
+        schemaVersion: STATE_SCHEMA_VERSION,
+        config: state.config,
+        raceStarted: state.raceStarted,
+        raceEnded: state.raceEnded,
+        lapsRemaining: state.lapsRemaining,
+        athletes: Array.from(state.athletes.entries()),
+        currentCheckpoint: state.currentCheckpoint,
+        checkpointHistory: state.checkpointHistory,
+        event: state.event,
+        addedToChampionship: state.addedToChampionship,
+        actionLog: state.actionLog,
+        raceEvents: state.raceEvents
+    };
+}
+
+// Each migration turns data of version i into version i + 1
+const STATE_MIGRATIONS = [
+    // Saves from before the schema version: every feature filled in what older saves lacked
+    data => {
+        const config = data.config;
+        if (!config.scoring) config.scoring = defaultScoring();
+        if (!config.raceType) config.raceType = 'points';
+        if (!config.sprintSchedule) config.sprintSchedule = legacySprintSchedule(config);
+        if (!config.checkpointPattern) config.checkpointPattern = ['points', 'elimination'];
+        if (!config.deadHeatRule) config.deadHeatRule = 'shared';
+        if (!config.categoryScoring) config.categoryScoring = 'overall';
+        if (config.lapBonus === undefined) config.lapBonus = 20;
+        if (config.lapPenalty === undefined) config.lapPenalty = 20;
+        if (!config.sanctionRules) config.sanctionRules = defaultSanctionRules();
+        if (!config.teamRules) config.teamRules = defaultTeamRules();
+        data.athletes.forEach(entry => {
+            const athlete = Array.isArray(entry) ? entry[1] : null;
+            if (!isPlainObject(athlete)) return; // Left for the validation to report
+            if (!athlete.sanctions) athlete.sanctions = [];
+            if (athlete.category === undefined) athlete.category = '';
+            if (athlete.club === undefined) athlete.club = '';
+            if (athlete.licence === undefined) athlete.licence = '';
+            if (athlete.savedPoints === undefined) athlete.savedPoints = 0;
+            if (athlete.lapDelta === undefined) athlete.lapDelta = 0;
+        });
+        // Saves without checkpoint types had nothing left to record once the laps ran out
+        if (!data.currentCheckpoint.type) {
+            data.currentCheckpoint.type = data.lapsRemaining === 0 && data.raceStarted ? 'closed' : 'points';
+        }
+        if (!data.currentCheckpoint.categoryPoints) data.currentCheckpoint.categoryPoints = {};
+        data.event = data.event || null;
+        data.addedToChampionship = !!data.addedToChampionship;
+        data.raceEvents = data.raceEvents || [];
+        return data;
+    }
+];
+const STATE_SCHEMA_VERSION = STATE_MIGRATIONS.length;
+
+// Bring serialized data of any earlier schema version up to the current one
+function migrateState(data) {
+    if (!isPlainObject(data) || !isPlainObject(data.config) || !Array.isArray(data.athletes) ||
+        !isPlainObject(data.currentCheckpoint)) {
+        throw new Error('i dati non contengono una gara.');
+    }
+    let version = data.schemaVersion === undefined ? 0 : data.schemaVersion;
+    if (!Number.isInteger(version) || version < 0) throw new Error('versione del formato non valida.');
+    if (version > STATE_SCHEMA_VERSION) {
+        throw new Error(`i dati sono stati creati da una versione più recente dell'app (formato ${version}).`);
+    }
+    while (version < STATE_SCHEMA_VERSION) {
+        data = STATE_MIGRATIONS[version](data);
+        version++;
+    }
+    data.schemaVersion = version;
+    return data;
+}
+
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function isNumber(value) {
+    return typeof value === 'number' && !isNaN(value);
+}
+
+function isNumberList(value) {
+    return Array.isArray(value) && value.every(isNumber);
+}
+
+function isOptionalNumber(value) {
+    return value === null || value === undefined || isNumber(value);
+}
+
+function isOptionalText(value) {
+    return value === null || typeof value === 'string';
+}
+
+function isAssignmentList(value) {
+    return Array.isArray(value) &&
+        value.every(a => isPlainObject(a) && Number.isInteger(a.number) && isOptionalNumber(a.points));
+}
+
+function isValidAthleteEntry(entry) {
+    if (!Array.isArray(entry) || !Number.isInteger(entry[0]) || !isPlainObject(entry[1])) return false;
+    const athlete = entry[1];
+    return athlete.number === entry[0] &&
+        isOptionalText(athlete.name) && isOptionalText(athlete.surname) &&
+        ATHLETE_DETAIL_FIELDS.every(field => typeof athlete[field.key] === 'string') &&
+        isNumber(athlete.points) && isNumber(athlete.savedPoints) && isNumber(athlete.lapDelta) &&
+        athlete.status in STATUS_RANK &&
+        isOptionalNumber(athlete.eliminatedAt) && isOptionalNumber(athlete.lappedAt) &&
+        Array.isArray(athlete.sanctions) &&
+        athlete.sanctions.every(sanction => isPlainObject(sanction) && sanction.type in SANCTION_TYPES);
+}
+
+// What is wrong with migrated race data, or null when every field can be loaded
+function validateState(data) {
+    const config = data.config;
+    const checkpoint = data.currentCheckpoint;
+    const checks = [
+        ['config.totalLaps', isNumber(config.totalLaps) && config.totalLaps >= 0],
+        ['config.raceType', config.raceType in RACE_TYPE_LABELS],
+        ['config.sprintSchedule', isPlainObject(config.sprintSchedule) &&
+            ['every', 'laps'].includes(config.sprintSchedule.mode) &&
+            isNumber(config.sprintSchedule.every) && isNumberList(config.sprintSchedule.laps)],
+        ['config.checkpointPattern', Array.isArray(config.checkpointPattern) &&
+            config.checkpointPattern.every(type => ['points', 'elimination'].includes(type))],
+        ['config.deadHeatRule', ['shared', 'full'].includes(config.deadHeatRule)],
+        ['config.categoryScoring', ['overall', 'by_category'].includes(config.categoryScoring)],
+        ['config.lapBonus', isNumber(config.lapBonus)],
+        ['config.lapPenalty', isNumber(config.lapPenalty)],
+        ['config.sanctionRules', isPlainObject(config.sanctionRules) &&
+            isNumber(config.sanctionRules.warningLimit) && config.sanctionRules.escalation in SANCTION_TYPES &&
+            isNumber(config.sanctionRules.escalationPoints)],
+        ['config.teamRules', isPlainObject(config.teamRules) && ['points', 'placing'].includes(config.teamRules.basis) &&
+            isNumber(config.teamRules.bestCount) && isNumberList(config.teamRules.placingPoints)],
+        ['config.scoring', isPlainObject(config.scoring) && config.scoring.preset in SCORING_PRESETS &&
+            isNumberList(config.scoring.intermediate) && isNumberList(config.scoring.final)],
+        ['raceStarted', typeof data.raceStarted === 'boolean'],
+        ['raceEnded', typeof data.raceEnded === 'boolean'],
+        ['lapsRemaining', isNumber(data.lapsRemaining)],
+        ['athletes', data.athletes.every(isValidAthleteEntry)],
+        ['currentCheckpoint.number', isNumber(checkpoint.number)],
+        ['currentCheckpoint.type', ['points', 'elimination', 'finish', 'closed'].includes(checkpoint.type)],
+        ['currentCheckpoint.assignedAthletes', isAssignmentList(checkpoint.assignedAthletes)],
+        ['currentCheckpoint.availablePoints', isNumberList(checkpoint.availablePoints)],
+        ['currentCheckpoint.categoryPoints', isPlainObject(checkpoint.categoryPoints) &&
+            Object.values(checkpoint.categoryPoints).every(isNumberList)],
+        ['checkpointHistory', Array.isArray(data.checkpointHistory) && data.checkpointHistory.every(entry =>
+            isPlainObject(entry) && isNumber(entry.number) && isAssignmentList(entry.athletes))],
+        ['event', data.event === null || (isPlainObject(data.event) && Array.isArray(data.event.heats))],
+        ['addedToChampionship', typeof data.addedToChampionship === 'boolean'],
+        ['actionLog', Array.isArray(data.actionLog) && data.actionLog.every(entry =>
+            isPlainObject(entry) && typeof entry.message === 'string')],
+        ['raceEvents', Array.isArray(data.raceEvents) && data.raceEvents.every(event =>
+            isPlainObject(event) && event.type in RACE_EVENT_TYPES)]
+    ];
+    const failed = checks.find(([, valid]) => !valid);
+    return failed ? `campo "${failed[0]}" non valido.` : null;
+}
+
+// Migrated and validated copy of serialized data; throws with the reason when it cannot be loaded
+function readStateData(data) {
+    const migrated = migrateState(data);
+    const problem = validateState(migrated);
+    if (problem) throw new Error(problem);
+    return migrated;
+}
+
+// Load a serialized race into the state; nothing changes if the data cannot be read
+function restoreState(parsed) {
+    const data = readStateData(parsed);
+    state.config = data.config;
+    state.raceStarted = data.raceStarted;
+    state.raceEnded = data.raceEnded;
+    state.lapsRemaining = data.lapsRemaining;
+    state.athletes = new Map(data.athletes.map(([number, athlete]) => [number, Object.assign(new Athlete(number), athlete)]));
+    state.currentCheckpoint = data.currentCheckpoint;
+    state.checkpointHistory = data.checkpointHistory;
+    state.event = data.event;
+    state.addedToChampionship = data.addedToChampionship;
+    state.actionLog = data.actionLog;
+    state.raceEvents = data.raceEvents;
+}
+
+// Every save is also kept in one of SNAPSHOT_COUNT rolling snapshots: when the current save cannot
+// be read, the recovery screen offers the most recent snapshot that can
+const SNAPSHOT_COUNT = 5;
+const saveWarning = document.getElementById('saveWarning');
+
 function saveToLocalStorage() {
+    // An archived race opened read-only must not replace the live one
+    if (viewingArchive) return;
     try {
-        const serializedState = {
-            config: state.config,
-            raceStarted: state.raceStarted,
-            raceEnded: state.raceEnded,
-            lapsRemaining: state.lapsRemaining,
-            athletes: Array.from(state.athletes.entries()),
-            currentCheckpoint: state.currentCheckpoint,
-            checkpointHistory: state.checkpointHistory,
-            actionLog: state.actionLog
-        };
-        localStorage.setItem('raceState', JSON.stringify(serializedState));
+        const serialized = JSON.stringify(serializeState());
+        localStorage.setItem('raceState', serialized);
+        saveSnapshot(serialized);
+        saveWarning.classList.add('hidden');
     } catch (error) {
+        // Usually the storage quota: the operator must know the race is no longer being saved
         console.error('Errore nel salvataggio su localStorage:', error);
+        saveWarning.classList.remove('hidden');
+    }
+}
+
+// A state that would not load again never replaces a good snapshot
+function saveSnapshot(serialized) {
+    const problem = validateState(JSON.parse(serialized));
+    if (problem) {
+        console.error(`Snapshot non salvato: ${problem}`);
+        return;
     }
+    const slot = (parseInt(localStorage.getItem('raceStateSnapshotNext')) || 0) % SNAPSHOT_COUNT;
+    localStorage.setItem(`raceStateSnapshot${slot}`, `{"savedAt":"${new Date().toISOString()}","state":${serialized}}`);
+    localStorage.setItem('raceStateSnapshotNext', String(slot + 1));
 }
 
 function loadFromLocalStorage() {
     try {
         const saved = localStorage.getItem('raceState');
         if (saved) {
-            const parsed = JSON.parse(saved);
-            state.config = parsed.config;
-            state.raceStarted = parsed.raceStarted;
-            state.raceEnded = parsed.raceEnded;
-            state.lapsRemaining = parsed.lapsRemaining;
-            state.athletes = new Map(parsed.athletes);
-            state.currentCheckpoint = parsed.currentCheckpoint;
-            state.checkpointHistory = parsed.checkpointHistory;
-            state.actionLog = parsed.actionLog;
+            restoreState(JSON.parse(saved));
             return true;
         }
     } catch (error) {
@@ -100,6 +382,30 @@ function loadFromLocalStorage() {
     return false;
 }
 
+// Readable snapshots, most recent first: [{ savedAt, data }]
+function getSaveSnapshots() {
+    const snapshots = [];
+    for (let slot = 0; slot < SNAPSHOT_COUNT; slot++) {
+        try {
+            const saved = localStorage.getItem(`raceStateSnapshot${slot}`);
+            if (!saved) continue;
+            const snapshot = JSON.parse(saved);
+            snapshots.push({ savedAt: snapshot.savedAt, data: readStateData(snapshot.state) });
+        } catch (error) {
+            console.error(`Snapshot ${slot} non leggibile:`, error);
+        }
+    }
+    return snapshots.sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+}
+
+// Saves made before the sprint schedule only had fixed frequencies
+function legacySprintSchedule(config) {
+    const every = config.raceType === 'elimination'
+        ? (config.eliminationLaps || 1)
+        : (config.pointsFrequency === 'every_2_laps' ? 2 : 1);
+    return { mode: 'every', every, laps: [] };
+}
+
 function clearLocalStorage() {
     localStorage.removeItem('raceState');
 }
@@ -109,55 +415,289 @@ const configScreen = document.getElementById('configScreen');
 const raceScreen = document.getElementById('raceScreen');
 const totalLapsInput = document.getElementById('totalLaps');
 const toggleButtons = document.querySelectorAll('.toggle-btn');
+const raceTypeButtons = document.querySelectorAll('.toggle-btn[data-race-type]');
+const scheduleModeButtons = document.querySelectorAll('.toggle-btn[data-schedule-mode]');
+const sprintEveryInput = document.getElementById('sprintEvery');
+const sprintLapsInput = document.getElementById('sprintLaps');
+const checkpointPatternInput = document.getElementById('checkpointPattern');
+const deadHeatButtons = document.querySelectorAll('.toggle-btn[data-dead-heat]');
+const categoryScoringButtons = document.querySelectorAll('.toggle-btn[data-category-scoring]');
+const lapBonusInput = document.getElementById('lapBonus');
+const lapPenaltyInput = document.getElementById('lapPenalty');
+const escalationButtons = document.querySelectorAll('.toggle-btn[data-escalation]');
+const warningLimitInput = document.getElementById('warningLimit');
+const escalationPointsInput = document.getElementById('escalationPoints');
+const eventSessionOptions = document.getElementById('eventSessionOptions');
+const finalistsPerHeatInput = document.getElementById('finalistsPerHeat');
+const teamBasisButtons = document.querySelectorAll('.toggle-btn[data-team-basis]');
+const teamBestCountInput = document.getElementById('teamBestCount');
+const teamPlacingPointsInput = document.getElementById('teamPlacingPoints');
+const scoringPresetButtons = document.querySelectorAll('.toggle-btn[data-preset]');
+const scoringIntermediateInput = document.getElementById('scoringIntermediate');
+const scoringFinalInput = document.getElementById('scoringFinal');
 const btnStartConfig = document.getElementById('btnStartConfig');
 
-// Toggle button handling
+// Toggle button handling (one active button per group)
 toggleButtons.forEach(btn => {
     btn.addEventListener('click', () => {
-        toggleButtons.forEach(b => b.classList.remove('active'));
+        btn.parentElement.querySelectorAll('.toggle-btn').forEach(b => b.classList.remove('active'));
         btn.classList.add('active');
     });
 });
 
+// Show only the settings that apply to the selected race type
+function applyRaceTypeSelection(raceType) {
+    configScreen.querySelectorAll('[data-race-types]').forEach(group => {
+        group.classList.toggle('hidden', !group.dataset.raceTypes.split(' ').includes(raceType));
+    });
+}
+
+raceTypeButtons.forEach(btn => {
+    btn.addEventListener('click', () => applyRaceTypeSelection(btn.dataset.raceType));
+});
+
+const RACE_TYPE_LABELS = {
+    points: 'Gara a Punti',
+    elimination: 'Gara a Eliminazione',
+    points_elimination: 'Gara a Punti-Eliminazione'
+};
+
+function getRaceTypeLabel() {
+    return RACE_TYPE_LABELS[state.config.raceType];
+}
+
+// Checkpoint frequency as shown in the header, the log and the PDF
+function getCheckpointFrequencyText() {
+    const frequencyText = getSprintScheduleDescription();
+    if (state.config.raceType === 'elimination') {
+        return `Eliminazione ${frequencyText.toLowerCase()}`;
+    }
+    if (state.config.raceType === 'points_elimination') {
+        return `${frequencyText} (${formatCheckpointPattern(state.config.checkpointPattern)})`;
+    }
+    return frequencyText;
+}
+
+// Points-elimination pattern: 'P' for a points sprint, 'E' for an elimination (e.g. "P-E")
+function parseCheckpointPattern(text) {
+    const letters = text.toUpperCase().replace(/[\s,;\-\/]/g, '').split('');
+    if (letters.length === 0 || letters.some(l => l !== 'P' && l !== 'E')) return null;
+    return letters.map(l => (l === 'P' ? 'points' : 'elimination'));
+}
+
+function formatCheckpointPattern(pattern) {
+    return pattern.map(type => (type === 'points' ? 'P' : 'E')).join('-');
+}
+
+// ========== SPRINT SCHEDULE ==========
+function applyScheduleModeSelection(mode) {
+    configScreen.querySelectorAll('[data-schedule-modes]').forEach(group => {
+        group.classList.toggle('hidden', group.dataset.scheduleModes !== mode);
+    });
+}
+
+scheduleModeButtons.forEach(btn => {
+    btn.addEventListener('click', () => applyScheduleModeSelection(btn.dataset.scheduleMode));
+});
+
+// Explicit sprint laps, as laps to go after each sprint (e.g. "30-20-10-0")
+function parseSprintLaps(text, totalLaps) {
+    const values = text.split(/[\s,;\-\/]+/).filter(v => v !== '').map(v => parseInt(v, 10));
+    if (values.length === 0 || values.some(v => isNaN(v) || v < 0 || v >= totalLaps)) return null;
+    const laps = Array.from(new Set(values)).sort((a, b) => b - a);
+    // The finish line is always the final sprint
+    if (laps[laps.length - 1] !== 0) laps.push(0);
+    return laps;
+}
+
+// Laps to go after each sprint, in race order
+function getSprintLaps() {
+    const schedule = state.config.sprintSchedule;
+    if (schedule.mode === 'laps') {
+        return schedule.laps;
+    }
+    const laps = [];
+    for (let lap = state.config.totalLaps - 1; lap >= 0; lap--) {
+        if (lap % schedule.every === 0) laps.push(lap);
+    }
+    return laps;
+}
+
+// Laps to go once the current checkpoint is completed
+function getNextSprintLap() {
+    const next = getSprintLaps().find(lap => lap < state.lapsRemaining);
+    return next === undefined ? 0 : next;
+}
+
+function getSprintScheduleDescription() {
+    const schedule = state.config.sprintSchedule;
+    if (schedule.mode === 'laps') {
+        return `Giri ${schedule.laps.join('-')}`;
+    }
+    return schedule.every === 1 ? 'Ogni giro' : `Ogni ${schedule.every} giri`;
+}
+
+// ========== SCORING PROFILES ==========
+function parsePointsScale(text) {
+    const values = text.split(/[\s,;\-\/]+/).filter(v => v !== '').map(v => parseInt(v, 10));
+    if (values.length === 0 || values.some(v => isNaN(v) || v <= 0)) return null;
+    // Places must be strictly decreasing so each value identifies one place
+    for (let i = 1; i < values.length; i++) {
+        if (values[i] >= values[i - 1]) return null;
+    }
+    return values;
+}
+
+function formatPointsScale(scale) {
+    return scale.join('-');
+}
+
+function getCheckpointScale(isFinal) {
+    const scoring = state.config.scoring;
+    return [...(isFinal ? scoring.final : scoring.intermediate)];
+}
+
+function getScoringDescription() {
+    const scoring = state.config.scoring;
+    const preset = SCORING_PRESETS[scoring.preset] || SCORING_PRESETS.custom;
+    const deadHeatText = state.config.deadHeatRule === 'full' ? 'punti pieni' : 'punti divisi';
+    return `${preset.label} (${formatPointsScale(scoring.intermediate)}, finale ${formatPointsScale(scoring.final)}, ex aequo ${deadHeatText})`;
+}
+
+function applyScoringPreset(presetKey) {
+    const preset = SCORING_PRESETS[presetKey];
+    scoringPresetButtons.forEach(btn => btn.classList.toggle('active', btn.dataset.preset === presetKey));
+    if (preset.intermediate) {
+        scoringIntermediateInput.value = formatPointsScale(preset.intermediate);
+        scoringFinalInput.value = formatPointsScale(preset.final);
+    }
+}
+
+scoringPresetButtons.forEach(btn => {
+    btn.addEventListener('click', () => applyScoringPreset(btn.dataset.preset));
+});
+
+// Editing a scale by hand turns the profile into a custom one
+[scoringIntermediateInput, scoringFinalInput].forEach(input => {
+    input.addEventListener('input', () => applyScoringPreset('custom'));
+});
+
 // ========== STARTING LIST FETCH ==========
-function parseAthleteTable(table) {
+// A parser profile describes where a site puts the athletes in its starting-list tables.
+// Columns are 0-based, -1 means none (club, category and licence then come from a matching header)
+const BUILT_IN_PARSER_PROFILES = [
+    {
+        id: 'rollergames',
+        label: 'rollergames.it',
+        builtIn: true,
+        tableStart: 2, // The first two tables are the page header
+        bibColumn: 0,
+        fallbackBibColumn: 1,
+        fullNameColumn: 2,
+        surnameColumn: -1,
+        nameColumn: -1,
+        clubColumn: -1,
+        categoryColumn: -1,
+        licenceColumn: -1,
+        nameOrder: 'surname_name',
+        skipMarkers: [],
+        dnsMarker: 'NP'
+    }
+];
+
+const NAME_ORDERS = {
+    surname_name: 'Cognome Nome',
+    name_surname: 'Nome Cognome',
+    uppercase: 'COGNOME in maiuscolo'
+};
+
+// "Rossi Mario" → surname "Rossi", name "Mario" (a single word is taken as the surname).
+// With 'uppercase' the upper-case words are the surname, so "ROSSI Maria Grazia" keeps the double first name
+function splitFullName(fullName, nameOrder = 'surname_name') {
+    const nameParts = fullName.trim().split(/\s+/).filter(p => p.length > 0);
+    if (nameParts.length < 2) return { name: '', surname: nameParts[0] || '' };
+
+    if (nameOrder === 'uppercase') {
+        const isUpperCase = part => part === part.toUpperCase() && part !== part.toLowerCase();
+        const surnameParts = nameParts.filter(isUpperCase);
+        if (surnameParts.length > 0 && surnameParts.length < nameParts.length) {
+            return {
+                name: nameParts.filter(part => !isUpperCase(part)).join(' '),
+                surname: surnameParts.join(' ')
+            };
+        }
+    }
+    if (nameOrder === 'name_surname') {
+        return { name: nameParts[0], surname: nameParts.slice(1).join(' ') };
+    }
+    return {
+        name: nameParts[nameParts.length - 1],
+        surname: nameParts.slice(0, -1).join(' ')
+    };
+}
+
+function parseAthleteTable(table, profile = BUILT_IN_PARSER_PROFILES[0]) {
     const athletes = [];
+    const headerCells = Array.from(table.querySelectorAll('th'));
+    const findHeader = pattern => headerCells.findIndex(th => pattern.test(th.textContent.trim()));
+    const categoryColumn = profile.categoryColumn !== -1 ? profile.categoryColumn : findHeader(/^cat(egoria|\.)?$/i);
+    const clubColumn = profile.clubColumn !== -1 ? profile.clubColumn : findHeader(/^(societ[àa]|soc\.|club|team)$/i);
+    const licenceColumn = profile.licenceColumn !== -1 ? profile.licenceColumn : findHeader(/^(tessera|n\.? tessera|licenza)$/i);
+    const skipMarkers = profile.skipMarkers.map(marker => marker.toLowerCase());
+    // Rows too short to hold the bib and the name are separators or headers
+    const minCells = Math.max(profile.bibColumn, profile.fullNameColumn, profile.surnameColumn, profile.nameColumn) + 1;
+
     for (const row of table.querySelectorAll('tr')) {
-        const cells = row.querySelectorAll('td');
-        if (cells.length < 3) continue;
-        if (Array.from(cells).some(td => td.textContent.trim() === 'NP')) continue;
-        // Try cells[0] first (e.g. rollergames.it format), fall back to cells[1]
-        let num = parseInt(cells[0].textContent.trim(), 10);
-        if (isNaN(num) || num <= 0) num = parseInt(cells[1].textContent.trim(), 10);
+        const cells = Array.from(row.querySelectorAll('td'));
+        if (cells.length < minCells) continue;
+        const texts = cells.map(td => td.textContent.trim());
+        const text = column => column !== -1 && texts[column] !== undefined ? texts[column] : '';
+        if (texts.some(t => skipMarkers.includes(t.toLowerCase()))) continue;
+
+        let num = parseInt(text(profile.bibColumn), 10);
+        if (isNaN(num) || num <= 0) num = parseInt(text(profile.fallbackBibColumn), 10);
         if (isNaN(num) || num <= 0) continue;
-        const nameParts = cells[2].textContent.trim().split(/\s+/).filter(p => p.length > 0);
-        const name = nameParts.length > 1 ? nameParts[nameParts.length - 1] : '';
-        const surname = nameParts.length > 1 ? nameParts.slice(0, -1).join(' ') : (nameParts[0] || '');
-        athletes.push({ number: num, name, surname });
+
+        const fullName = splitFullName(text(profile.fullNameColumn), profile.nameOrder);
+        athletes.push({
+            number: num,
+            name: text(profile.nameColumn) || fullName.name,
+            surname: text(profile.surnameColumn) || fullName.surname,
+            club: text(clubColumn),
+            category: text(categoryColumn),
+            licence: text(licenceColumn),
+            // Athletes marked as non-starters (NP on rollergames.it) are kept with that status
+            status: profile.dnsMarker && texts.includes(profile.dnsMarker) ? 'dns' : 'normal'
+        });
     }
     return athletes;
 }
 
+function formatLoadedAthletesCount(athletes) {
+    const nonStarters = athletes.filter(a => a.status === 'dns').length;
+    return `✓ ${athletes.length} atleti caricati${nonStarters > 0 ? ` (${nonStarters} non partiti)` : ''}.`;
+}
+
 async function fetchStartingList(url) {
-    let html;
     try {
         const response = await fetch(url);
         if (!response.ok) throw new Error(`HTTP ${response.status}`);
-        html = await response.text();
+        return await response.text();
     } catch (_) {
         // Direct fetch failed (likely CORS) — retry via proxy
         const proxyUrl = 'https://corsproxy.io/?' + encodeURIComponent(url);
         const proxyResponse = await fetch(proxyUrl);
         if (!proxyResponse.ok) throw new Error(`HTTP ${proxyResponse.status}`);
-        html = await proxyResponse.text();
+        return await proxyResponse.text();
     }
-    const parser = new DOMParser();
-    const doc = parser.parseFromString(html, 'text/html');
-    const tables = doc.querySelectorAll('table');
-    if (tables.length < 3) throw new Error('Formato non riconosciuto');
+}
+
+// Every table from the profile's first one is a battery
+function parseStartingList(doc, profile) {
     const batteries = [];
-    for (let i = 2; i < tables.length; i++) {
-        const athletes = parseAthleteTable(tables[i]);
+    const tables = doc.querySelectorAll('table');
+    for (let i = profile.tableStart; i < tables.length; i++) {
+        const athletes = parseAthleteTable(tables[i], profile);
         if (athletes.length > 0) batteries.push(athletes);
     }
     return batteries;
@@ -165,11 +705,13 @@ async function fetchStartingList(url) {
 
 function renderBatterySelector(batteries, statusEl) {
     preloadedAthletes = [];
+    preloadedHeats = [];
     let html = '<div class="battery-selector-label">Scegli batteria:</div>';
     html += '<div class="battery-selector-buttons">';
     batteries.forEach((_, i) => {
         html += `<button type="button" class="battery-btn" data-index="${i}">${i + 1}</button>`;
     });
+    html += '<button type="button" class="battery-btn" data-index="all">Tutte</button>';
     html += '</div>';
     html += '<div class="battery-selector-count hidden" id="batterySelectorCount"></div>';
     statusEl.innerHTML = html;
@@ -177,17 +719,40 @@ function renderBatterySelector(batteries, statusEl) {
 
     statusEl.querySelectorAll('.battery-btn').forEach(btn => {
         btn.addEventListener('click', () => {
-            const index = parseInt(btn.dataset.index);
-            preloadedAthletes = batteries[index];
+            // "Tutte" runs every battery as a heat of one session, starting from the first
+            const runAll = btn.dataset.index === 'all';
+            preloadedHeats = runAll ? batteries : [];
+            preloadedAthletes = batteries[runAll ? 0 : parseInt(btn.dataset.index)];
+            eventSessionOptions.classList.toggle('hidden', !runAll);
             statusEl.querySelectorAll('.battery-btn').forEach(b => b.classList.remove('battery-btn-selected'));
             btn.classList.add('battery-btn-selected');
             const countEl = document.getElementById('batterySelectorCount');
-            countEl.textContent = `✓ ${preloadedAthletes.length} atleti caricati.`;
+            countEl.textContent = runAll
+                ? `✓ ${batteries.length} batterie caricate (${batteries.reduce((sum, b) => sum + b.length, 0)} atleti).`
+                : formatLoadedAthletesCount(preloadedAthletes);
             countEl.classList.remove('hidden');
         });
     });
 }
 
+// Shared by the URL and the file import: one battery is preloaded, more open the battery selector
+function applyLoadedBatteries(batteries, statusEl) {
+    preloadedAthletes = [];
+    preloadedHeats = [];
+    eventSessionOptions.classList.add('hidden');
+    rememberAthletes(batteries.flat());
+    if (batteries.length === 0) {
+        statusEl.textContent = 'Nessun atleta trovato nel file.';
+        statusEl.className = 'load-status load-status-warning';
+    } else if (batteries.length === 1) {
+        preloadedAthletes = batteries[0];
+        statusEl.textContent = formatLoadedAthletesCount(preloadedAthletes);
+        statusEl.className = 'load-status load-status-success';
+    } else {
+        renderBatterySelector(batteries, statusEl);
+    }
+}
+
 document.getElementById('btnLoadAthletes').addEventListener('click', async () => {
     const url = document.getElementById('startingListUrl').value.trim();
     const statusEl = document.getElementById('loadAthletesStatus');
@@ -203,19 +768,11 @@ document.getElementById('btnLoadAthletes').addEventListener('click', async () =>
     btn.textContent = 'Caricamento...';
     statusEl.className = 'load-status hidden';
     preloadedAthletes = [];
+    preloadedHeats = [];
+    eventSessionOptions.classList.add('hidden');
 
     try {
-        const batteries = await fetchStartingList(url);
-        if (batteries.length === 0) {
-            statusEl.textContent = 'Nessun atleta trovato nel file.';
-            statusEl.className = 'load-status load-status-warning';
-        } else if (batteries.length === 1) {
-            preloadedAthletes = batteries[0];
-            statusEl.textContent = `✓ ${preloadedAthletes.length} atleti caricati.`;
-            statusEl.className = 'load-status load-status-success';
-        } else {
-            renderBatterySelector(batteries, statusEl);
-        }
+        openHtmlImport(await fetchStartingList(url), url);
     } catch (_) {
         preloadedAthletes = [];
         statusEl.textContent = 'Impossibile caricare gli atleti: errore di rete o CORS. Verifica che l\'URL sia accessibile dal browser.';
@@ -226,135 +783,695 @@ document.getElementById('btnLoadAthletes').addEventListener('click', async () =>
     }
 });
 
-// Start configuration
-btnStartConfig.addEventListener('click', () => {
-    const laps = parseInt(totalLapsInput.value);
-    if (!laps || laps < 1) {
-        alert('❌ Inserisci un numero di giri valido (minimo 1)');
-        return;
+// ========== STARTING LIST IMPORT ==========
+// Every list is previewed before loading: CSV/XLSX sheets go through a column mapping,
+// HTML pages (fetched from the URL or saved to a file) through a parser profile
+const importOverlay = document.getElementById('importOverlay');
+const importFileName = document.getElementById('importFileName');
+const importMapping = document.getElementById('importMapping');
+const importProfile = document.getElementById('importProfile');
+const importProfileSelect = document.getElementById('importProfileSelect');
+const importProfileFields = document.getElementById('importProfileFields');
+const importPreview = document.getElementById('importPreview');
+const startingListFileInput = document.getElementById('startingListFile');
+
+// The header pattern preselects the column when the sheet has a matching header
+const IMPORT_FIELDS = [
+    { key: 'number', label: 'Numero *', header: /^(n\.?|num(ero)?|pett(orale)?|bib)$/i },
+    { key: 'surname', label: 'Cognome', header: /^cognome$/i },
+    { key: 'name', label: 'Nome', header: /^nome$/i },
+    { key: 'fullName', label: 'Cognome e nome', header: /^(atleta|nominativo|cognome e nome)$/i },
+    { key: 'club', label: 'Società', header: /^(societ[àa]|soc\.|club|team)$/i },
+    { key: 'category', label: 'Categoria', header: /^cat(egoria|\.)?$/i },
+    { key: 'licence', label: 'Tessera', header: /^(tessera|n\.? tessera|licenza)$/i },
+    { key: 'status', label: 'Stato (NP)', header: /^(stato|note)$/i },
+    { key: 'heat', label: 'Batteria', header: /^(batt(eria)?|heat)$/i }
+];
+
+// Profile columns are shown 1-based; an empty input means none
+const PARSER_PROFILE_COLUMNS = [
+    { key: 'tableStart', label: 'Prima tabella degli atleti' },
+    { key: 'bibColumn', label: 'Colonna numero *' },
+    { key: 'fallbackBibColumn', label: 'Colonna numero alternativa' },
+    { key: 'fullNameColumn', label: 'Colonna cognome e nome' },
+    { key: 'surnameColumn', label: 'Colonna cognome' },
+    { key: 'nameColumn', label: 'Colonna nome' },
+    { key: 'clubColumn', label: 'Colonna società', placeholder: 'Da intestazione' },
+    { key: 'categoryColumn', label: 'Colonna categoria', placeholder: 'Da intestazione' },
+    { key: 'licenceColumn', label: 'Colonna tessera', placeholder: 'Da intestazione' }
+];
+
+// { rows, mapping: { field: columnIndex } } for sheets, { doc, profile } for HTML pages
+let importSource = null;
+
+// Custom profiles and the last one used, kept apart from the race state
+let parserSettings = loadParserSettings();
+
+function saveParserSettings() {
+    try {
+        localStorage.setItem('parserProfiles', JSON.stringify(parserSettings));
+    } catch (error) {
+        console.error('Errore nel salvataggio dei profili di importazione:', error);
     }
+}
 
-    const activeToggle = document.querySelector('.toggle-btn.active');
-    const frequency = activeToggle.dataset.frequency;
-
-    state.config.totalLaps = laps;
-    state.config.pointsFrequency = frequency;
-    state.lapsRemaining = laps;
-
-    // Add preloaded athletes from starting list (0 points)
-    for (const data of preloadedAthletes) {
-        if (!state.athletes.has(data.number)) {
-            state.athletes.set(data.number, new Athlete(data.number, data.name, data.surname));
-        }
+function loadParserSettings() {
+    try {
+        const saved = localStorage.getItem('parserProfiles');
+        if (saved) return JSON.parse(saved);
+    } catch (error) {
+        console.error('Errore nel caricamento dei profili di importazione:', error);
     }
-    preloadedAthletes = [];
-
-    logAction(`Configurazione: ${laps} giri, Traguardo ${frequency === 'every_lap' ? 'ogni giro' : 'ogni 2 giri'}`);
+    return { selected: BUILT_IN_PARSER_PROFILES[0].id, profiles: [] };
+}
 
-    // Show race screen
-    configScreen.classList.add('hidden');
-    raceScreen.classList.remove('hidden');
+function getParserProfiles() {
+    return BUILT_IN_PARSER_PROFILES.concat(parserSettings.profiles);
+}
 
-    updateRaceHeader();
-    renderLeaderboard();
-});
+// Profiles saved before a column existed get it empty
+function getParserProfile(id) {
+    const profile = getParserProfiles().find(p => p.id === id) || BUILT_IN_PARSER_PROFILES[0];
+    return { licenceColumn: -1, ...profile };
+}
 
-// ========== RACE SCREEN ==========
-const btnStartRace = document.getElementById('btnStartRace');
-const btnEndRace = document.getElementById('btnEndRace');
-const btnOpenKeyboard = document.getElementById('btnOpenKeyboard');
-const btnUndo = document.getElementById('btnUndo');
-const btnResetRace = document.getElementById('btnResetRace');
-const badgeConfig = document.getElementById('badgeConfig');
-const badgeLaps = document.getElementById('badgeLaps');
-const leaderboardContent = document.getElementById('leaderboardContent');
-const lastCheckpointSummary = document.getElementById('lastCheckpointSummary');
+// Saving under the label of an existing custom profile overwrites it
+function saveParserProfile(label) {
+    const existing = parserSettings.profiles.find(profile => profile.label === label);
+    const profile = { ...importSource.profile, id: existing ? existing.id : `custom-${Date.now()}`, label, builtIn: false };
+    parserSettings.profiles = parserSettings.profiles.filter(p => p !== existing).concat(profile);
+    parserSettings.selected = profile.id;
+    importSource.profile = { ...profile };
+    saveParserSettings();
+    renderImportProfile();
+}
 
-function updateRaceHeader() {
-    const freqText = state.config.pointsFrequency === 'every_lap' ? 'Ogni giro' : 'Ogni 2 giri';
-    badgeConfig.textContent = `${state.config.totalLaps} giri • ${freqText}`;
-    badgeLaps.textContent = `Giri rimanenti: ${state.lapsRemaining}`;
+function deleteParserProfile(id) {
+    parserSettings.profiles = parserSettings.profiles.filter(profile => profile.id !== id);
+    parserSettings.selected = BUILT_IN_PARSER_PROFILES[0].id;
+    importSource.profile = { ...BUILT_IN_PARSER_PROFILES[0] };
+    saveParserSettings();
+    renderImportProfile();
+    renderImportPreview();
 }
 
-function updateLastCheckpointSummary() {
-    if (!state.raceStarted || state.raceEnded) {
-        lastCheckpointSummary.classList.add('hidden');
-        return;
+// Handles quoted fields; the delimiter is the most frequent of ; , and tab in the first line
+function parseCsv(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = [';', ',', '\t'].reduce((best, d) =>
+        firstLine.split(d).length > firstLine.split(best).length ? d : best);
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
     }
-
-    // Determine which checkpoint to show
-    let checkpointToShow = null;
-
-    // If current checkpoint has assigned athletes, show it
-    if (state.currentCheckpoint.assignedAthletes.length > 0) {
-        checkpointToShow = {
-            number: state.currentCheckpoint.number,
-            athletes: state.currentCheckpoint.assignedAthletes
-        };
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
     }
-    // Otherwise, show the last checkpoint from history
-    else if (state.checkpointHistory.length > 0) {
-        const lastHistory = state.checkpointHistory[state.checkpointHistory.length - 1];
-        checkpointToShow = {
-            number: lastHistory.number,
-            athletes: lastHistory.athletes
-        };
+    return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+// Spreadsheets exported on Windows are often not UTF-8
+function decodeText(buffer) {
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    } catch (_) {
+        return new TextDecoder('windows-1252').decode(buffer);
     }
+}
 
-    // If no checkpoint to show, hide the summary
-    if (!checkpointToShow || checkpointToShow.athletes.length === 0) {
-        lastCheckpointSummary.classList.add('hidden');
-        return;
+function readSpreadsheetRows(buffer) {
+    if (typeof XLSX === 'undefined') {
+        throw new Error('Lettura dei file Excel non disponibile: salva il foglio come CSV e riprova.');
     }
+    const workbook = XLSX.read(new Uint8Array(buffer), { type: 'array' });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    return XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, defval: '' })
+        .map(r => r.map(cell => String(cell)))
+        .filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+// The first row only suggests the mapping: a header has no valid bib, so it is never imported
+function guessImportMapping(firstRow) {
+    const mapping = {};
+    IMPORT_FIELDS.forEach(field => {
+        mapping[field.key] = firstRow.findIndex(cell => field.header.test(cell.trim()));
+    });
+    if (mapping.number === -1) mapping.number = 0;
+    return mapping;
+}
 
-    // Sort athletes by points (descending)
-    const sortedAthletes = [...checkpointToShow.athletes].sort((a, b) => b.points - a.points);
+function buildImportedBatteries() {
+    if (importSource.doc) return { batteries: parseStartingList(importSource.doc, importSource.profile), skipped: 0 };
 
-    // Build HTML
-    let html = `<div class="last-checkpoint-summary-title">Ultimo traguardo ${checkpointToShow.number}:</div>`;
-    html += `<ul class="last-checkpoint-summary-list">`;
+    const { rows, mapping } = importSource;
+    const cell = (row, key) => mapping[key] !== -1 && row[mapping[key]] !== undefined ? row[mapping[key]].trim() : '';
+    const heats = new Map();
+    let skipped = 0;
 
-    sortedAthletes.forEach(assignment => {
-        const athlete = state.athletes.get(assignment.number);
-        const nameDisplay = athlete && (athlete.name || athlete.surname)
-            ? ` ${athlete.name || ''} ${athlete.surname || ''}`.trim()
-            : '';
-        const separator = nameDisplay ? ' ' : '';
-        html += `<li class="last-checkpoint-summary-item">#${assignment.number}${separator}${nameDisplay}: ${assignment.points}pt</li>`;
+    rows.forEach((row, index) => {
+        const number = parseInt(cell(row, 'number'), 10);
+        if (isNaN(number) || number <= 0) {
+            if (index > 0) skipped++;
+            return;
+        }
+        let { name, surname } = mapping.fullName !== -1 ? splitFullName(cell(row, 'fullName')) : { name: '', surname: '' };
+        name = cell(row, 'name') || name;
+        surname = cell(row, 'surname') || surname;
+        const heat = cell(row, 'heat');
+        if (!heats.has(heat)) heats.set(heat, []);
+        heats.get(heat).push({
+            number,
+            name,
+            surname,
+            club: cell(row, 'club'),
+            category: cell(row, 'category'),
+            licence: cell(row, 'licence'),
+            status: cell(row, 'status').toUpperCase() === 'NP' ? 'dns' : 'normal'
+        });
     });
+    return { batteries: Array.from(heats.values()), skipped };
+}
 
-    html += `</ul>`;
+function columnLetter(index) {
+    let letter = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        letter = String.fromCharCode(65 + (n - 1) % 26) + letter;
+    }
+    return letter;
+}
 
-    lastCheckpointSummary.innerHTML = html;
-    lastCheckpointSummary.classList.remove('hidden');
+function renderImportMapping() {
+    importMapping.classList.toggle('hidden', !importSource.rows);
+    if (!importSource.rows) return;
+
+    const columns = Math.max(...importSource.rows.map(r => r.length));
+    const firstRow = importSource.rows[0];
+    const options = Array.from({ length: columns }, (_, i) =>
+        `<option value="${i}">${columnLetter(i)}${firstRow[i] ? ` – ${escapeHtml(firstRow[i])}` : ''}</option>`).join('');
+
+    importMapping.innerHTML = IMPORT_FIELDS.map(field => `
+        <div class="scoring-input-group">
+            <label for="importColumn-${field.key}">${field.label}</label>
+            <select id="importColumn-${field.key}" data-import-field="${field.key}">
+                ${field.key === 'number' ? '' : '<option value="-1">—</option>'}
+                ${options}
+            </select>
+        </div>
+    `).join('');
+
+    importMapping.querySelectorAll('select').forEach(select => {
+        select.value = importSource.mapping[select.dataset.importField];
+        select.addEventListener('change', () => {
+            importSource.mapping[select.dataset.importField] = parseInt(select.value);
+            renderImportPreview();
+        });
+    });
 }
 
-function startRace() {
-    state.raceStarted = true;
-    btnStartRace.classList.add('hidden');
-    btnOpenKeyboard.classList.remove('hidden');
-    
-    logAction('Gara iniziata');
-    saveToLocalStorage();
-    
-    initializeCheckpoint();
-    renderLeaderboard();
+function renderImportProfile() {
+    importProfile.classList.toggle('hidden', !importSource.doc);
+    if (!importSource.doc) return;
+
+    const profile = importSource.profile;
+    importProfileSelect.innerHTML = getParserProfiles().map(p =>
+        `<option value="${escapeHtml(p.id)}">${escapeHtml(p.label)}</option>`).join('');
+    importProfileSelect.value = profile.id;
+    document.getElementById('btnDeleteParserProfile').disabled = profile.builtIn;
+
+    importProfileFields.innerHTML = PARSER_PROFILE_COLUMNS.map(field => `
+        <div class="scoring-input-group">
+            <label for="parserProfile-${field.key}">${field.label}</label>
+            <input type="number" id="parserProfile-${field.key}" data-profile-field="${field.key}" min="1"
+                value="${profile[field.key] === -1 ? '' : profile[field.key] + 1}" placeholder="${field.placeholder || '—'}">
+        </div>
+    `).join('') + `
+        <div class="scoring-input-group">
+            <label for="parserProfile-nameOrder">Ordine del nome</label>
+            <select id="parserProfile-nameOrder">
+                ${Object.entries(NAME_ORDERS).map(([order, label]) => `<option value="${order}">${label}</option>`).join('')}
+            </select>
+        </div>
+        <div class="scoring-input-group">
+            <label for="parserProfile-dnsMarker">Segno dei non partiti</label>
+            <input type="text" id="parserProfile-dnsMarker" value="${escapeHtml(profile.dnsMarker)}" placeholder="Es: NP">
+        </div>
+        <div class="scoring-input-group">
+            <label for="parserProfile-skipMarkers">Salta le righe con</label>
+            <input type="text" id="parserProfile-skipMarkers" value="${escapeHtml(profile.skipMarkers.join(', '))}" placeholder="Es: Riserva, Assente">
+        </div>
+    `;
+    document.getElementById('parserProfile-nameOrder').value = profile.nameOrder;
+
+    // Every change re-parses the page, so the preview follows the profile live
+    importProfileFields.querySelectorAll('[data-profile-field]').forEach(input => {
+        input.addEventListener('input', () => {
+            const column = parseInt(input.value);
+            profile[input.dataset.profileField] = isNaN(column) || column < 1 ? -1 : column - 1;
+            if (profile.tableStart === -1) profile.tableStart = 0;
+            renderImportPreview();
+        });
+    });
+    document.getElementById('parserProfile-nameOrder').addEventListener('change', (e) => {
+        profile.nameOrder = e.target.value;
+        renderImportPreview();
+    });
+    document.getElementById('parserProfile-dnsMarker').addEventListener('input', (e) => {
+        profile.dnsMarker = e.target.value.trim();
+        renderImportPreview();
+    });
+    document.getElementById('parserProfile-skipMarkers').addEventListener('input', (e) => {
+        profile.skipMarkers = e.target.value.split(',').map(marker => marker.trim()).filter(Boolean);
+        renderImportPreview();
+    });
 }
 
-function endRace() {
-    showDialog(
-        '🏁',
-        'Terminare la Gara?',
-        'La classifica verrà congelata e non potrai più modificarla. Vuoi continuare?',
-        () => {
-            state.raceEnded = true;
+// Rows worth a second look before loading: they are still imported
+function findImportWarnings(batteries) {
+    const warnings = new Map();
+    const addWarning = (athlete, message) => {
+        if (!warnings.has(athlete)) warnings.set(athlete, []);
+        warnings.get(athlete).push(message);
+    };
+
+    batteries.forEach(battery => {
+        const byNumber = new Map();
+        battery.forEach(athlete => {
+            if (!byNumber.has(athlete.number)) byNumber.set(athlete.number, []);
+            byNumber.get(athlete.number).push(athlete);
+            if (!athlete.name && !athlete.surname) addWarning(athlete, 'Nome e cognome mancanti');
+            else if (!athlete.name) addWarning(athlete, 'Nome mancante');
+            else if (!athlete.surname) addWarning(athlete, 'Cognome mancante');
+        });
+        byNumber.forEach(sameNumber => {
+            if (sameNumber.length > 1) sameNumber.forEach(athlete => addWarning(athlete, 'Numero duplicato'));
+        });
+    });
+    return warnings;
+}
+
+function renderImportPreview() {
+    const { batteries, skipped } = buildImportedBatteries();
+    const athletes = batteries.flat();
+    document.getElementById('btnConfirmImport').disabled = athletes.length === 0;
+
+    if (athletes.length === 0) {
+        importPreview.innerHTML = importSource.doc
+            ? '<p class="championship-empty">Nessun atleta riconosciuto: controlla il profilo.</p>'
+            : '<p class="championship-empty">Nessun atleta riconosciuto: controlla la colonna del numero.</p>';
+        return;
+    }
+
+    const warnings = findImportWarnings(batteries);
+    const summary = [
+        formatLoadedAthletesCount(athletes),
+        batteries.length > 1 ? `${batteries.length} batterie.` : '',
+        skipped > 0 ? `${skipped} righe ignorate (numero mancante).` : '',
+        warnings.size > 0 ? `⚠️ ${warnings.size} righe da controllare.` : ''
+    ].filter(Boolean).join(' ');
+
+    importPreview.innerHTML = `
+        <p class="championship-empty">${summary}</p>
+        <table class="leaderboard-table import-preview-table">
+            <thead>
+                <tr>
+                    ${batteries.length > 1 ? '<th>Batt.</th>' : ''}
+                    <th>Numero</th>
+                    <th>Cognome</th>
+                    <th>Nome</th>
+                    <th>Società</th>
+                    <th>Categoria</th>
+                    <th>Tessera</th>
+                    <th>Stato</th>
+                    <th>Avvisi</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${batteries.flatMap((battery, b) => battery.map(athlete => `
+                    <tr class="${warnings.has(athlete) ? 'import-row-warning' : ''}">
+                        ${batteries.length > 1 ? `<td>${b + 1}</td>` : ''}
+                        <td><span class="athlete-number">#${athlete.number}</span></td>
+                        <td>${escapeHtml(athlete.surname)}</td>
+                        <td>${escapeHtml(athlete.name)}</td>
+                        <td>${escapeHtml(athlete.club || '-')}</td>
+                        <td>${escapeHtml(athlete.category || '-')}</td>
+                        <td>${escapeHtml(athlete.licence || '-')}</td>
+                        <td>${athlete.status === 'dns' ? WITHDRAWAL_STATUSES.dns.code : ''}</td>
+                        <td>${warnings.has(athlete) ? `⚠️ ${warnings.get(athlete).join(', ')}` : ''}</td>
+                    </tr>
+                `)).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+function showImport(sourceName) {
+    importFileName.textContent = sourceName;
+    renderImportMapping();
+    renderImportProfile();
+    renderImportPreview();
+    importOverlay.classList.remove('hidden');
+}
+
+// Fetched and saved pages start from the last profile used
+function openHtmlImport(html, sourceName) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    importSource = { doc, profile: { ...getParserProfile(parserSettings.selected) } };
+    showImport(sourceName);
+}
+
+async function openImport(file) {
+    const statusEl = document.getElementById('loadAthletesStatus');
+    let buffer;
+    try {
+        buffer = await file.arrayBuffer();
+        if (!/\.html?$/i.test(file.name)) {
+            const rows = /\.xlsx?$/i.test(file.name) ? readSpreadsheetRows(buffer) : parseCsv(decodeText(buffer));
+            importSource = { rows, mapping: guessImportMapping(rows[0] || []) };
+        }
+    } catch (error) {
+        statusEl.textContent = `Impossibile leggere il file: ${error.message}`;
+        statusEl.className = 'load-status load-status-error';
+        return;
+    }
+
+    if (/\.html?$/i.test(file.name)) {
+        openHtmlImport(decodeText(buffer), file.name);
+    } else {
+        showImport(file.name);
+    }
+}
+
+function closeImport() {
+    importOverlay.classList.add('hidden');
+    importSource = null;
+    startingListFileInput.value = '';
+}
+
+document.getElementById('btnImportFile').addEventListener('click', () => startingListFileInput.click());
+startingListFileInput.addEventListener('change', () => {
+    if (startingListFileInput.files.length > 0) openImport(startingListFileInput.files[0]);
+});
+importProfileSelect.addEventListener('change', () => {
+    importSource.profile = { ...getParserProfile(importProfileSelect.value) };
+    renderImportProfile();
+    renderImportPreview();
+});
+document.getElementById('btnSaveParserProfile').addEventListener('click', () => {
+    showDialog('💾', 'Salva profilo', 'Nome del profilo di importazione:', (label) => {
+        if (label) saveParserProfile(label);
+    }, 'Es: Sito federazione');
+});
+document.getElementById('btnDeleteParserProfile').addEventListener('click', () => {
+    const profile = importSource.profile;
+    showDialog('🗑️', 'Elimina profilo', `Eliminare il profilo "${profile.label}"?`, () => deleteParserProfile(profile.id));
+});
+document.getElementById('btnConfirmImport').addEventListener('click', () => {
+    if (importSource.doc) {
+        parserSettings.selected = importSource.profile.id;
+        saveParserSettings();
+    }
+    applyLoadedBatteries(buildImportedBatteries().batteries, document.getElementById('loadAthletesStatus'));
+    closeImport();
+});
+document.getElementById('btnCancelImport').addEventListener('click', closeImport);
+document.getElementById('btnCloseImport').addEventListener('click', closeImport);
+
+// Start configuration
+btnStartConfig.addEventListener('click', () => {
+    const laps = parseInt(totalLapsInput.value);
+    if (!laps || laps < 1) {
+        alert('❌ Inserisci un numero di giri valido (minimo 1)');
+        return;
+    }
+
+    const raceType = document.querySelector('.toggle-btn[data-race-type].active').dataset.raceType;
+    const scheduleMode = document.querySelector('.toggle-btn[data-schedule-mode].active').dataset.scheduleMode;
+
+    const sprintEvery = parseInt(sprintEveryInput.value);
+    if (scheduleMode === 'every' && (!sprintEvery || sprintEvery < 1 || sprintEvery > laps)) {
+        alert('❌ Inserisci ogni quanti giri c\'è un traguardo (da 1 al numero di giri)');
+        return;
+    }
+
+    const sprintLaps = parseSprintLaps(sprintLapsInput.value, laps);
+    if (scheduleMode === 'laps' && !sprintLaps) {
+        alert(`❌ Inserisci i giri mancanti dei traguardi, da 0 a ${laps - 1} (es: 30-20-10-0)`);
+        return;
+    }
+
+    const checkpointPattern = parseCheckpointPattern(checkpointPatternInput.value);
+    if (raceType === 'points_elimination' && !checkpointPattern) {
+        alert('❌ Inserisci uno schema traguardi valido usando P (punti) ed E (eliminazione), es: P-E');
+        return;
+    }
+
+    const intermediateScale = parsePointsScale(scoringIntermediateInput.value);
+    const finalScale = parsePointsScale(scoringFinalInput.value);
+    if (!intermediateScale || !finalScale) {
+        alert('❌ Inserisci punteggi validi: numeri positivi in ordine decrescente (es: 5-3-2-1)');
+        return;
+    }
+    const activePreset = document.querySelector('.toggle-btn[data-preset].active');
+    const deadHeatRule = document.querySelector('.toggle-btn[data-dead-heat].active').dataset.deadHeat;
+    const categoryScoring = document.querySelector('.toggle-btn[data-category-scoring].active').dataset.categoryScoring;
+
+    const lapBonus = parseInt(lapBonusInput.value);
+    const lapPenalty = parseInt(lapPenaltyInput.value);
+    if (isNaN(lapBonus) || lapBonus < 0 || isNaN(lapPenalty) || lapPenalty < 0) {
+        alert('❌ Inserisci bonus e penalità giro validi (0 o più punti)');
+        return;
+    }
+
+    const escalation = document.querySelector('.toggle-btn[data-escalation].active').dataset.escalation;
+    const warningLimit = parseInt(warningLimitInput.value);
+    const escalationPoints = parseInt(escalationPointsInput.value);
+    if (!warningLimit || warningLimit < 1 || (escalation === 'deduction' && (!escalationPoints || escalationPoints < 1))) {
+        alert('❌ Inserisci un numero di ammonizioni e dei punti di penalità validi (minimo 1)');
+        return;
+    }
+
+    const teamBasis = document.querySelector('.toggle-btn[data-team-basis].active').dataset.teamBasis;
+    const teamBestCount = parseInt(teamBestCountInput.value);
+    const teamPlacingPoints = parsePointsScale(teamPlacingPointsInput.value);
+    if (!teamBestCount || teamBestCount < 1 || !teamPlacingPoints) {
+        alert('❌ Inserisci gli atleti conteggiati per società (minimo 1) e punti per piazzamento decrescenti (es: 10-8-6-5-4-3-2-1)');
+        return;
+    }
+
+    const finalistsPerHeat = parseInt(finalistsPerHeatInput.value);
+    if (preloadedHeats.length > 1 && (!finalistsPerHeat || finalistsPerHeat < 1)) {
+        alert('❌ Inserisci quanti atleti per batteria vanno in finale (minimo 1)');
+        return;
+    }
+
+    state.config.totalLaps = laps;
+    state.config.raceType = raceType;
+    state.config.sprintSchedule = scheduleMode === 'laps'
+        ? { mode: 'laps', every: 1, laps: sprintLaps }
+        : { mode: 'every', every: sprintEvery, laps: [] };
+    state.config.checkpointPattern = raceType === 'points_elimination' ? checkpointPattern : ['points', 'elimination'];
+    state.config.scoring = {
+        preset: activePreset ? activePreset.dataset.preset : 'custom',
+        intermediate: intermediateScale,
+        final: finalScale
+    };
+    state.config.deadHeatRule = deadHeatRule;
+    state.config.categoryScoring = categoryScoring;
+    state.config.lapBonus = lapBonus;
+    state.config.lapPenalty = lapPenalty;
+    state.config.sanctionRules = {
+        warningLimit,
+        escalation,
+        escalationPoints: escalation === 'deduction' ? escalationPoints : 0
+    };
+    state.config.teamRules = { basis: teamBasis, bestCount: teamBestCount, placingPoints: teamPlacingPoints };
+    state.lapsRemaining = laps;
+
+    // Add preloaded athletes from starting list (0 points)
+    for (const data of preloadedAthletes) {
+        if (!state.athletes.has(data.number)) {
+            state.athletes.set(data.number, createListedAthlete(data));
+        }
+    }
+    preloadedAthletes = [];
+
+    if (preloadedHeats.length > 1) {
+        state.event = createEventSession(preloadedHeats, finalistsPerHeat);
+        logAction(`Sessione: ${preloadedHeats.length} batterie, primi ${finalistsPerHeat} di ogni batteria in finale`);
+    }
+    preloadedHeats = [];
+
+    const scoringInfo = raceAwardsPoints() ? `, Punteggio ${getScoringDescription()}` : '';
+    logAction(`Configurazione: ${getRaceTypeLabel()}, ${laps} giri, ${getCheckpointFrequencyText()}${scoringInfo}`);
+
+    // Show race screen
+    configScreen.classList.add('hidden');
+    raceScreen.classList.remove('hidden');
+
+    updateRaceHeader();
+    renderLeaderboard();
+    renderEventResults();
+});
+
+// ========== RACE SCREEN ==========
+const btnStartRace = document.getElementById('btnStartRace');
+const btnEndRace = document.getElementById('btnEndRace');
+const btnOpenKeyboard = document.getElementById('btnOpenKeyboard');
+const btnUndo = document.getElementById('btnUndo');
+const btnNeutralize = document.getElementById('btnNeutralize');
+const btnResetRace = document.getElementById('btnResetRace');
+const btnNextHeat = document.getElementById('btnNextHeat');
+const eventResults = document.getElementById('eventResults');
+const raceTitle = document.getElementById('raceTitle');
+const badgeConfig = document.getElementById('badgeConfig');
+const badgeLaps = document.getElementById('badgeLaps');
+const leaderboardContent = document.getElementById('leaderboardContent');
+const lastCheckpointSummary = document.getElementById('lastCheckpointSummary');
+
+function updateRaceHeader() {
+    const heat = getCurrentHeat();
+    raceTitle.textContent = heat ? `${getRaceTypeLabel()} • ${heat.name}` : getRaceTypeLabel();
+    const scoringText = raceAwardsPoints() ? ` • ${(SCORING_PRESETS[state.config.scoring.preset] || SCORING_PRESETS.custom).label}` : '';
+    badgeConfig.textContent = `${state.config.totalLaps} giri • ${getCheckpointFrequencyText()}${scoringText}`;
+    const nextSprintLap = getNextSprintLap();
+    const nextSprintText = state.currentCheckpoint.type === 'closed' ? '' :
+                           state.lapsRemaining === 0 ? ' • Ordine di arrivo' :
+                           nextSprintLap === 0 ? ' • Prossimo: arrivo' :
+                           ` • Prossimo traguardo a ${nextSprintLap} giri dalla fine`;
+    badgeLaps.textContent = `Giri rimanenti: ${state.lapsRemaining}${nextSprintText}`;
+    updateNeutralizeButton();
+}
+
+function updateLastCheckpointSummary() {
+    if (!state.raceStarted || state.raceEnded) {
+        lastCheckpointSummary.classList.add('hidden');
+        return;
+    }
+
+    // Determine which checkpoint to show
+    let checkpointToShow = null;
+
+    // If current checkpoint has assigned athletes, show it
+    if (state.currentCheckpoint.assignedAthletes.length > 0) {
+        checkpointToShow = {
+            number: state.currentCheckpoint.number,
+            type: state.currentCheckpoint.type,
+            athletes: state.currentCheckpoint.assignedAthletes
+        };
+    }
+    // Otherwise, show the last checkpoint from history
+    else if (state.checkpointHistory.length > 0) {
+        const lastHistory = state.checkpointHistory[state.checkpointHistory.length - 1];
+        checkpointToShow = {
+            number: lastHistory.number,
+            type: lastHistory.type,
+            athletes: lastHistory.athletes,
+            neutralized: lastHistory.neutralized,
+            voidReason: lastHistory.voidReason
+        };
+    }
+
+    // If no checkpoint to show, hide the summary
+    if (!checkpointToShow || (checkpointToShow.athletes.length === 0 && !checkpointToShow.neutralized)) {
+        lastCheckpointSummary.classList.add('hidden');
+        return;
+    }
+
+    // Sort athletes by points (descending); arrival order is kept as entered
+    const sortedAthletes = checkpointToShow.type === 'finish'
+        ? checkpointToShow.athletes
+        : [...checkpointToShow.athletes].sort((a, b) => comparePoints(b.points, a.points));
+
+    // Build HTML
+    const voidText = checkpointToShow.neutralized ? ` neutralizzato (${checkpointToShow.voidReason})` : '';
+    const titleText = checkpointToShow.type === 'finish' ? 'Ordine di arrivo' : `Ultimo traguardo ${checkpointToShow.number}`;
+    let html = `<div class="last-checkpoint-summary-title">${titleText}${voidText}:</div>`;
+    html += `<ul class="last-checkpoint-summary-list">`;
+
+    sortedAthletes.forEach((assignment, index) => {
+        const athlete = state.athletes.get(assignment.number);
+        const nameDisplay = athlete && (athlete.name || athlete.surname)
+            ? ` ${athlete.name || ''} ${athlete.surname || ''}`.trim()
+            : '';
+        const separator = nameDisplay ? ' ' : '';
+        const result = formatAssignmentResult(checkpointToShow.type, assignment, index);
+        html += `<li class="last-checkpoint-summary-item">#${assignment.number}${separator}${nameDisplay}: ${result}</li>`;
+    });
+
+    html += `</ul>`;
+
+    lastCheckpointSummary.innerHTML = html;
+    lastCheckpointSummary.classList.remove('hidden');
+}
+
+function startRace() {
+    // The starting field, from which the race is replayed after the setup entries of the log
+    const startEvent = stampRaceEvent({
+        type: 'race_start',
+        athletes: JSON.parse(JSON.stringify(Array.from(state.athletes.values()))),
+        logLength: state.actionLog.length
+    });
+    state.raceStarted = true;
+    btnStartRace.classList.add('hidden');
+    btnOpenKeyboard.classList.remove('hidden');
+    
+    logAction('Gara iniziata');
+    state.raceEvents.push({ ...startEvent, description: 'Gara iniziata' });
+    saveToLocalStorage();
+    
+    initializeCheckpoint();
+    updateRaceHeader();
+    renderLeaderboard();
+}
+
+function endRace() {
+    showDialog(
+        '🏁',
+        'Terminare la Gara?',
+        'La classifica verrà congelata e non potrai più modificarla. Vuoi continuare?',
+        () => {
+            dispatchRaceEvent({ type: 'race_end' });
             btnEndRace.classList.add('hidden');
             btnOpenKeyboard.classList.add('hidden');
             btnUndo.classList.add('hidden');
+            btnNeutralize.classList.add('hidden');
+            // The ended race is archived and exported: its actions can no longer be reverted
+            clearUndoHistory();
             
-            logAction('Gara terminata - Classifica congelata');
+            recordHeatResults();
             saveToLocalStorage();
+            archiveRace();
             renderLeaderboard();
+            renderEventResults();
+            updateNextHeatButton();
 
             // Export PDF
             exportToPDF();
@@ -371,282 +1488,1413 @@ function resetRace() {
             // Clear localStorage
             clearLocalStorage();
 
-            // Reset all state
-            state.config.totalLaps = 0;
-            state.config.pointsFrequency = 'every_lap';
-            state.raceStarted = false;
-            state.raceEnded = false;
-            state.lapsRemaining = 0;
-            state.athletes.clear();
-            state.currentCheckpoint = {
-                number: 0,
-                assignedAthletes: [],
-                availablePoints: []
-            };
-            state.checkpointHistory = [];
-            state.actionLog = [];
+            // Reset all state
+            state.config.totalLaps = 0;
+            state.config.raceType = 'points';
+            state.config.sprintSchedule = { mode: 'every', every: 1, laps: [] };
+            state.config.checkpointPattern = ['points', 'elimination'];
+            state.config.deadHeatRule = 'shared';
+            state.config.categoryScoring = 'overall';
+            state.config.lapBonus = 20;
+            state.config.lapPenalty = 20;
+            state.config.sanctionRules = defaultSanctionRules();
+            state.config.teamRules = defaultTeamRules();
+            state.config.scoring = defaultScoring();
+            state.event = null;
+            clearRaceProgress();
+
+            // Reset UI
+            raceScreen.classList.add('hidden');
+            configScreen.classList.remove('hidden');
+
+            // Reset config screen inputs
+            totalLapsInput.value = '10';
+            scheduleModeButtons.forEach(btn => {
+                btn.classList.remove('active');
+                if (btn.dataset.scheduleMode === 'every') {
+                    btn.classList.add('active');
+                }
+            });
+            applyScheduleModeSelection('every');
+            sprintEveryInput.value = '1';
+            sprintLapsInput.value = '';
+            applyScoringPreset('fisr');
+            raceTypeButtons.forEach(btn => btn.classList.toggle('active', btn.dataset.raceType === 'points'));
+            applyRaceTypeSelection('points');
+            checkpointPatternInput.value = 'P-E';
+            deadHeatButtons.forEach(btn => btn.classList.toggle('active', btn.dataset.deadHeat === 'shared'));
+            categoryScoringButtons.forEach(btn => btn.classList.toggle('active', btn.dataset.categoryScoring === 'overall'));
+            lapBonusInput.value = '20';
+            lapPenaltyInput.value = '20';
+            escalationButtons.forEach(btn => btn.classList.toggle('active', btn.dataset.escalation === 'yellow_card'));
+            warningLimitInput.value = '2';
+            escalationPointsInput.value = '5';
+            teamBasisButtons.forEach(btn => btn.classList.toggle('active', btn.dataset.teamBasis === 'points'));
+            teamBestCountInput.value = '3';
+            teamPlacingPointsInput.value = formatPointsScale(defaultTeamRules().placingPoints);
+            finalistsPerHeatInput.value = '4';
+            eventSessionOptions.classList.add('hidden');
+            renderEventResults();
+
+            console.log('Gara resettata completamente');
+        }
+    );
+}
+
+// Back to an empty race with the same configuration (new race or next heat)
+function clearRaceProgress() {
+    state.raceStarted = false;
+    state.raceEnded = false;
+    state.lapsRemaining = state.config.totalLaps;
+    state.athletes.clear();
+    state.currentCheckpoint = {
+        number: 0,
+        type: 'points',
+        assignedAthletes: [],
+        availablePoints: [],
+        categoryPoints: {}
+    };
+    state.checkpointHistory = [];
+    state.actionLog = [];
+    state.raceEvents = [];
+    state.addedToChampionship = false;
+    activeCategory = null;
+    clearUndoHistory();
+
+    // Hide all race buttons
+    btnStartRace.classList.remove('hidden');
+    btnEndRace.classList.add('hidden');
+    btnOpenKeyboard.classList.add('hidden');
+    btnUndo.classList.add('hidden');
+    btnNeutralize.classList.add('hidden');
+    btnNextHeat.classList.add('hidden');
+
+    // Hide last checkpoint summary
+    lastCheckpointSummary.classList.add('hidden');
+    lastCheckpointSummary.innerHTML = '';
+}
+
+btnStartRace.addEventListener('click', startRace);
+btnEndRace.addEventListener('click', endRace);
+btnResetRace.addEventListener('click', resetRace);
+btnNextHeat.addEventListener('click', () => {
+    if (hasNextHeat()) {
+        startNextHeat();
+    } else if (canBuildFinal()) {
+        buildFinal();
+    }
+});
+
+// ========== EVENT SESSION (HEATS AND FINAL) ==========
+function createEventSession(batteries, finalistsPerHeat) {
+    return {
+        heats: batteries.map((athletes, i) => ({ name: `Batteria ${i + 1}`, athletes, results: null, isFinal: false })),
+        currentHeat: 0,
+        finalistsPerHeat
+    };
+}
+
+function getCurrentHeat() {
+    return state.event ? state.event.heats[state.event.currentHeat] : null;
+}
+
+function hasNextHeat() {
+    return !!state.event && state.event.currentHeat < state.event.heats.length - 1;
+}
+
+// The final can be built once every heat has its results
+function canBuildFinal() {
+    return !!state.event &&
+        !state.event.heats.some(heat => heat.isFinal) &&
+        state.event.heats.every(heat => heat.results);
+}
+
+// Freeze the ranking of the heat that just ended
+function recordHeatResults() {
+    const heat = getCurrentHeat();
+    if (!heat) return;
+    heat.results = getSortedAthletes().map((athlete, index) => ({
+        position: index + 1,
+        number: athlete.number,
+        name: athlete.name,
+        surname: athlete.surname,
+        category: athlete.category,
+        points: athlete.points,
+        status: athlete.status
+    }));
+}
+
+// Top N of a heat, skipping athletes who did not finish it
+function getHeatFinalists(heat) {
+    return heat.results
+        .filter(result => !WITHDRAWAL_STATUSES[result.status])
+        .slice(0, state.event.finalistsPerHeat);
+}
+
+function startNextHeat() {
+    state.event.currentHeat++;
+    const heat = getCurrentHeat();
+
+    clearRaceProgress();
+    heat.athletes.forEach(data => {
+        state.athletes.set(data.number, createListedAthlete(data));
+    });
+
+    logAction(`${heat.name}: ${heat.athletes.length} atleti in partenza`);
+    saveToLocalStorage();
+    updateRaceHeader();
+    renderLeaderboard();
+    renderEventResults();
+}
+
+function buildFinal() {
+    const heats = state.event.heats;
+    const finalists = heats.flatMap(heat => getHeatFinalists(heat)
+        .map(result => ({ number: result.number, name: result.name, surname: result.surname, category: result.category, status: 'normal' })));
+
+    heats.push({ name: 'Finale', athletes: finalists, results: null, isFinal: true });
+    startNextHeat();
+}
+
+function updateNextHeatButton() {
+    const available = state.raceEnded && (hasNextHeat() || canBuildFinal());
+    btnNextHeat.classList.toggle('hidden', !available);
+    if (available) {
+        btnNextHeat.textContent = hasNextHeat() ? '⏭️ Prossima batteria' : '🏆 Crea finale';
+    }
+}
+
+function renderEventResults() {
+    const completedHeats = state.event ? state.event.heats.filter(heat => heat.results) : [];
+    if (completedHeats.length === 0) {
+        eventResults.classList.add('hidden');
+        eventResults.innerHTML = '';
+        return;
+    }
+
+    eventResults.innerHTML = completedHeats.map(heat => {
+        const finalists = heat.isFinal ? [] : getHeatFinalists(heat).map(result => result.number);
+        const items = heat.results.map(result => {
+            const nameDisplay = result.name || result.surname ? ` ${result.surname || ''} ${result.name || ''}`.trimEnd() : '';
+            const pointsText = raceAwardsPoints() ? ` (${formatPoints(result.points)}pt)` : '';
+            const promotedText = finalists.includes(result.number) ? ' → Finale' : '';
+            return `<li class="last-checkpoint-summary-item">${result.position}. #${result.number}${nameDisplay}${pointsText}${promotedText}</li>`;
+        }).join('');
+        return `
+            <div class="event-heat">
+                <div class="last-checkpoint-summary-title">🏁 ${heat.name}</div>
+                <ul class="last-checkpoint-summary-list">${items}</ul>
+            </div>
+        `;
+    }).join('');
+    eventResults.classList.remove('hidden');
+}
+
+// ========== CHECKPOINT MANAGEMENT ==========
+function initializeCheckpoint() {
+    state.currentCheckpoint.number++;
+    prepareCurrentCheckpoint();
+    
+    console.log(`Checkpoint ${state.currentCheckpoint.number} inizializzato, Tipo: ${state.currentCheckpoint.type}, Punti: ${state.currentCheckpoint.availablePoints}`);
+}
+
+// Reset assignments and set type/points for the checkpoint at the current lap
+function prepareCurrentCheckpoint(type = getCheckpointType(isNextCheckpointFinal())) {
+    const isFinal = isNextCheckpointFinal();
+    pendingDeadHeat = [];
+    state.currentCheckpoint.assignedAthletes = [];
+    state.currentCheckpoint.type = type;
+    state.currentCheckpoint.availablePoints = state.currentCheckpoint.type === 'points'
+        ? getCheckpointScale(isFinal)
+        : [];
+    state.currentCheckpoint.categoryPoints = {};
+}
+
+function isScoredByCategory() {
+    return state.config.categoryScoring === 'by_category';
+}
+
+function getAthleteCategory(athleteNumber) {
+    const athlete = state.athletes.get(athleteNumber);
+    return athlete ? athlete.category : '';
+}
+
+// Points still available to an athlete: the whole field shares one scale, unless
+// each category gets its own (the full scale until one of its athletes scores)
+function getAvailablePoints(athleteNumber) {
+    const checkpoint = state.currentCheckpoint;
+    if (!isScoredByCategory() || checkpoint.type !== 'points') return checkpoint.availablePoints;
+    return getCategoryPool(getAthleteCategory(athleteNumber));
+}
+
+// The pool an assignment takes its points from: a category's own is created on its first points
+function takePointsPool(athleteNumber) {
+    const checkpoint = state.currentCheckpoint;
+    if (!isScoredByCategory() || checkpoint.type !== 'points') return checkpoint.availablePoints;
+
+    const category = getAthleteCategory(athleteNumber);
+    if (!checkpoint.categoryPoints[category]) {
+        checkpoint.categoryPoints[category] = getCheckpointScale(isNextCheckpointFinal());
+    }
+    return checkpoint.categoryPoints[category];
+}
+
+// By category, a sprint is over once every category has given all its points
+// or has no athlete left to give them to
+function areCategoryPointsComplete() {
+    const racing = getAthletesStillRacing();
+    const categories = new Set(racing.map(a => a.category));
+    return Array.from(categories).every(category =>
+        getCategoryPool(category).length === 0 ||
+        racing.filter(a => a.category === category).every(a => isAthleteAlreadyAssignedInCheckpoint(a.number))
+    );
+}
+
+function getCategoryPool(category) {
+    const pools = state.currentCheckpoint.categoryPoints;
+    return pools[category] || getCheckpointScale(isNextCheckpointFinal());
+}
+
+function getCheckpointType(isFinal) {
+    if (state.config.raceType === 'elimination') {
+        return isFinal ? 'finish' : 'elimination';
+    }
+    if (state.config.raceType === 'points_elimination' && !isFinal) {
+        // The final sprint always awards points; earlier ones follow the pattern
+        const pattern = state.config.checkpointPattern;
+        return pattern[(state.currentCheckpoint.number - 1) % pattern.length];
+    }
+    return 'points';
+}
+
+function isNextCheckpointFinal() {
+    return getNextSprintLap() === 0;
+}
+
+function canAssignPoints(points, athleteNumber) {
+    if (isScoredByCategory() && athleteNumber === undefined) {
+        // No athlete chosen yet: any category might still take these points
+        return state.currentCheckpoint.type === 'points';
+    }
+    return getAvailablePoints(athleteNumber).includes(points);
+}
+
+function isAthleteAlreadyAssignedInCheckpoint(athleteNumber) {
+    return state.currentCheckpoint.assignedAthletes.some(a => a.number === athleteNumber);
+}
+
+// Athlete from a starting list (URL or file import)
+function createListedAthlete(data) {
+    const athlete = new Athlete(data.number, data.name, data.surname);
+    ATHLETE_DETAIL_FIELDS.forEach(field => {
+        athlete[field.key] = data[field.key] || '';
+    });
+    athlete.status = data.status || 'normal';
+    return athlete;
+}
+
+// Athlete typed on the keyboard; details of one met in an earlier race come from the registry
+function buildNewAthlete(athleteNumber, name = '', surname = '') {
+    const athlete = new Athlete(athleteNumber, name, surname);
+    const known = findRegistryEntry({ name, surname });
+    if (known) {
+        ATHLETE_DETAIL_FIELDS.forEach(field => {
+            athlete[field.key] = known[field.key];
+        });
+    }
+    return athlete;
+}
+
+// Get an athlete from the leaderboard, creating it (or completing its name) from keyboard input
+function getOrCreateAthlete(athleteNumber, name = '', surname = '') {
+    let athlete = state.athletes.get(athleteNumber);
+    if (!athlete) {
+        athlete = buildNewAthlete(athleteNumber, name, surname);
+        state.athletes.set(athleteNumber, athlete);
+        rememberAthlete(athlete);
+        const nameDisplay = name || surname ? ` (${name} ${surname})`.trim() : '';
+        logAction(`Atleta #${athleteNumber}${nameDisplay} aggiunto alla classifica`);
+    } else {
+        // Update name/surname if athlete exists but doesn't have them yet
+        if ((name && !athlete.name) || (surname && !athlete.surname)) {
+            const oldNameDisplay = athlete.name || athlete.surname ? ` (${athlete.name} ${athlete.surname})`.trim() : '';
+
+            if (name && !athlete.name) {
+                athlete.name = name;
+            }
+            if (surname && !athlete.surname) {
+                athlete.surname = surname;
+            }
+
+            const newNameDisplay = athlete.name || athlete.surname ? ` (${athlete.name} ${athlete.surname})`.trim() : '';
+            logAction(`Atleta #${athleteNumber}: aggiornato${oldNameDisplay} →${newNameDisplay}`);
+            rememberAthlete(athlete);
+        }
+    }
+    return athlete;
+}
+
+function assignPointsToAthlete(athleteNumber, points, name = '', surname = '') {
+    // Validation
+    if (state.raceEnded) {
+        alert('❌ La gara è terminata, non puoi più modificare la classifica');
+        return false;
+    }
+
+    if (!canAssignPoints(points, athleteNumber)) {
+        alert(`❌ Non puoi assegnare ${points} punti in questo checkpoint`);
+        return false;
+    }
+
+    if (isAthleteAlreadyAssignedInCheckpoint(athleteNumber)) {
+        alert(`❌ L'atleta #${athleteNumber} ha già ricevuto punti in questo traguardo`);
+        return false;
+    }
+
+    // Checked before the athlete is created or renamed, so a rejected assignment changes nothing
+    const candidate = state.athletes.get(athleteNumber) || buildNewAthlete(athleteNumber, name, surname);
+
+    // Check if withdrawn (disqualified, retired, ...)
+    if (isAthleteWithdrawn(candidate)) {
+        alert(`❌ L'atleta #${athleteNumber} risulta ${WITHDRAWAL_STATUSES[candidate.status].logText}. Riammettilo prima di assegnare punti.`);
+        return false;
+    }
+
+    if (candidate.status === 'eliminated') {
+        alert(`❌ L'atleta #${athleteNumber} è stato eliminato e non può ricevere altri punti`);
+        return false;
+    }
+
+    const athlete = getOrCreateAthlete(athleteNumber, name, surname);
+
+    // Assign points
+    athlete.points += points;
+
+    // Remove from available points
+    const availablePoints = takePointsPool(athleteNumber);
+    availablePoints.splice(availablePoints.indexOf(points), 1);
+
+    logAction(`Assegnati ${points} punti a #${athleteNumber} (Checkpoint ${state.currentCheckpoint.number})`);
+
+    recordCheckpointAssignment(athleteNumber, points);
+    return true;
+}
+
+function recordCheckpointAssignment(athleteNumber, points) {
+    recordCheckpointAssignments([{ number: athleteNumber, points }]);
+}
+
+// Track assignments in the current checkpoint and mirror them in the history
+function recordCheckpointAssignments(assignments) {
+    // Check if this is the first assignment
+    const isFirstAssignment = state.currentCheckpoint.assignedAthletes.length === 0;
+
+    state.currentCheckpoint.assignedAthletes.push(...assignments);
+
+    // Save or update checkpoint in history
+    if (isFirstAssignment) {
+        // First assignment: create new history entry
+        pushCheckpointHistoryEntry();
+        updateUndoButton();
+    } else {
+        // Subsequent assignments: update the last history entry
+        const lastHistory = state.checkpointHistory[state.checkpointHistory.length - 1];
+        lastHistory.athletes = [...state.currentCheckpoint.assignedAthletes];
+    }
+
+    // Check if checkpoint is complete
+    checkCheckpointCompletion();
+
+    renderLeaderboard();
+    updateKeyboardPoints();
+    updateLastCheckpointSummary();
+}
+
+function pushCheckpointHistoryEntry() {
+    const entry = {
+        number: state.currentCheckpoint.number,
+        type: state.currentCheckpoint.type,
+        athletes: [...state.currentCheckpoint.assignedAthletes],
+        lapsBeforeDecrement: state.lapsRemaining,
+        isFinal: isNextCheckpointFinal()
+    };
+    state.checkpointHistory.push(entry);
+    return entry;
+}
+
+function checkCheckpointCompletion() {
+    const checkpoint = state.currentCheckpoint;
+    let isComplete;
+
+    if (checkpoint.type === 'elimination') {
+        isComplete = checkpoint.assignedAthletes.length === 1;
+    } else if (checkpoint.type === 'finish') {
+        isComplete = getAthletesStillRacing().every(a => isAthleteAlreadyAssignedInCheckpoint(a.number));
+    } else {
+        isComplete = isScoredByCategory() ? areCategoryPointsComplete() : checkpoint.availablePoints.length === 0;
+    }
+
+    if (isComplete) {
+        completeCheckpoint();
+    }
+}
+
+function completeCheckpoint() {
+    // Move the countdown to the lap of this sprint
+    state.lapsRemaining = getNextSprintLap();
+
+    logAction(`Checkpoint ${state.currentCheckpoint.number} completato - Giri: ${state.lapsRemaining}`);
+
+    // Close keyboard and menu
+    closeKeyboard();
+    closeAthleteMenu();
+
+    // Initialize next checkpoint, the finish order after the last sprint, or nothing
+    if (state.lapsRemaining > 0) {
+        initializeCheckpoint();
+    } else if (needsFinishOrder()) {
+        initializeFinishOrder();
+    } else {
+        closeCheckpoints();
+    }
+
+    // Autosave
+    saveToLocalStorage();
+
+    // Update UI
+    updateEndRaceButton();
+    updateRaceHeader();
+    updateUndoButton();
+    updateLastCheckpointSummary();
+    renderLeaderboard();
+}
+
+// Points races record the full arrival order after the last sprint, before the race can end
+function needsFinishOrder() {
+    return raceAwardsPoints() && state.currentCheckpoint.type !== 'finish';
+}
+
+function initializeFinishOrder() {
+    state.currentCheckpoint.number++;
+    prepareCurrentCheckpoint('finish');
+    logAction('Inserimento ordine di arrivo');
+}
+
+// Nothing left to record: only "Fine Gara" remains
+function closeCheckpoints() {
+    state.currentCheckpoint.type = 'closed';
+    state.currentCheckpoint.assignedAthletes = [];
+    state.currentCheckpoint.availablePoints = [];
+    state.currentCheckpoint.categoryPoints = {};
+}
+
+function isCheckpointOpen() {
+    return state.raceStarted && !state.raceEnded && state.currentCheckpoint.type !== 'closed';
+}
+
+function updateEndRaceButton() {
+    const canEnd = state.raceStarted && !state.raceEnded && state.currentCheckpoint.type === 'closed';
+    btnEndRace.classList.toggle('hidden', !canEnd);
+}
+
+// ========== NEUTRALISED CHECKPOINTS ==========
+function canNeutralize() {
+    return isCheckpointOpen();
+}
+
+function updateNeutralizeButton() {
+    btnNeutralize.classList.toggle('hidden', !canNeutralize());
+}
+
+function promptNeutralizeCheckpoint() {
+    if (!canNeutralize()) return;
+
+    const assigned = state.currentCheckpoint.assignedAthletes.length;
+    const assignedText = assigned > 0
+        ? `Le assegnazioni già registrate (${assigned}) verranno mantenute.`
+        : 'Nessuna assegnazione verrà registrata.';
+
+    showDialog(
+        '⛔',
+        `Neutralizzare il Traguardo ${state.currentCheckpoint.number}?`,
+        `${assignedText} Indica il motivo della neutralizzazione.`,
+        (reason) => dispatchRaceEvent({ type: 'neutralization', reason }),
+        'Motivo (es: caduta)'
+    );
+}
+
+// Close the current checkpoint as void, keeping any partial assignment
+function neutralizeCheckpoint(reason) {
+    if (!canNeutralize()) return false;
+
+    const voidReason = reason || 'Non specificato';
+    const entry = state.currentCheckpoint.assignedAthletes.length > 0
+        ? state.checkpointHistory[state.checkpointHistory.length - 1]
+        : pushCheckpointHistoryEntry();
+    entry.neutralized = true;
+    entry.voidReason = voidReason;
+
+    logAction(`Checkpoint ${state.currentCheckpoint.number} neutralizzato (${voidReason})`);
+
+    completeCheckpoint();
+    return true;
+}
+
+btnNeutralize.addEventListener('click', promptNeutralizeCheckpoint);
+
+// ========== DEAD HEAT (EX AEQUO) ==========
+// Athletes waiting to share the next place assigned in the current checkpoint
+let pendingDeadHeat = []; // [{number, name, surname}, ...]
+
+function addPendingDeadHeat(athleteNumber, name = '', surname = '') {
+    if (state.currentCheckpoint.type !== 'points' || getAvailablePoints(athleteNumber).length === 0) {
+        alert('❌ Nessun piazzamento disponibile per un ex aequo');
+        return false;
+    }
+
+    const athlete = state.athletes.get(athleteNumber);
+    if (isScoredByCategory() && pendingDeadHeat.length > 0 && athlete &&
+        athlete.category !== (state.athletes.get(pendingDeadHeat[0].number) || {}).category) {
+        alert('❌ Un ex aequo può coinvolgere solo atleti della stessa categoria');
+        return false;
+    }
+
+    if (isAthleteAlreadyAssignedInCheckpoint(athleteNumber) || pendingDeadHeat.some(e => e.number === athleteNumber)) {
+        alert(`❌ L'atleta #${athleteNumber} è già classificato in questo traguardo`);
+        return false;
+    }
+
+    pendingDeadHeat.push({ number: athleteNumber, name, surname });
+    updateKeyboardPoints();
+    return true;
+}
+
+// Remove from the pool the places taken by athletes tied at `place` (that one and the next
+// available ones) and return the points each of them gets
+function takeDeadHeatPlaces(pool, place, count) {
+    const occupiedPlaces = [place, ...pool.filter(v => v < place).slice(0, count - 1)];
+    occupiedPlaces.forEach(value => pool.splice(pool.indexOf(value), 1));
+    return state.config.deadHeatRule === 'full'
+        ? place
+        : occupiedPlaces.reduce((sum, v) => sum + v, 0) / count;
+}
+
+// Give every tied athlete the same place: they occupy that place and the next
+// available ones, with the points shared or awarded in full per the configured rule
+function assignDeadHeat(entries, points) {
+    if (state.raceEnded) {
+        alert('❌ La gara è terminata, non puoi più modificare la classifica');
+        return false;
+    }
+
+    if (!canAssignPoints(points, entries[0].number)) {
+        alert(`❌ Non puoi assegnare ${points} punti in questo checkpoint`);
+        return false;
+    }
+
+    const numbers = entries.map(e => e.number);
+    if (new Set(numbers).size !== numbers.length || numbers.some(isAthleteAlreadyAssignedInCheckpoint)) {
+        alert('❌ Un atleta dell\'ex aequo è già classificato in questo traguardo');
+        return false;
+    }
+
+    // Checked before any new athlete joins the standings, so a rejected tie leaves nothing behind
+    const candidates = entries.map(e => state.athletes.get(e.number) || buildNewAthlete(e.number, e.name, e.surname));
+    const excluded = candidates.find(a => isAthleteWithdrawn(a) || a.status === 'eliminated');
+    if (excluded) {
+        alert(`❌ L'atleta #${excluded.number} non può ricevere punti in questo traguardo`);
+        return false;
+    }
+
+    if (isScoredByCategory() && candidates.some(a => a.category !== candidates[0].category)) {
+        alert('❌ Un ex aequo può coinvolgere solo atleti della stessa categoria');
+        return false;
+    }
+
+    const athletes = entries.map(e => getOrCreateAthlete(e.number, e.name, e.surname));
+
+    const awarded = takeDeadHeatPlaces(takePointsPool(athletes[0].number), points, entries.length);
+    athletes.forEach(athlete => {
+        athlete.points += awarded;
+    });
+
+    logAction(`Ex aequo ${numbers.map(n => `#${n}`).join(', ')}: ${formatPoints(awarded)} punti ciascuno (Checkpoint ${state.currentCheckpoint.number})`);
+
+    pendingDeadHeat = [];
+    recordCheckpointAssignments(numbers.map(number => ({ number, points: awarded, place: points, deadHeat: true })));
+    return true;
+}
+
+// ========== ELIMINATION RACE ==========
+function getAthletesStillRacing() {
+    return Array.from(state.athletes.values()).filter(a => a.status === 'normal');
+}
+
+function eliminateAthlete(athleteNumber, name = '', surname = '') {
+    if (state.raceEnded) {
+        alert('❌ La gara è terminata, non puoi più modificare la classifica');
+        return false;
+    }
+
+    if (state.currentCheckpoint.type !== 'elimination') {
+        alert('❌ Questo traguardo non prevede eliminazioni');
+        return false;
+    }
+
+    const candidate = state.athletes.get(athleteNumber) || buildNewAthlete(athleteNumber, name, surname);
+    if (candidate.status !== 'normal') {
+        alert(`❌ L'atleta #${athleteNumber} non è più in gara`);
+        return false;
+    }
+
+    const athlete = getOrCreateAthlete(athleteNumber, name, surname);
+    athlete.status = 'eliminated';
+    athlete.eliminatedAt = state.currentCheckpoint.number;
+
+    logAction(`Atleta #${athleteNumber} eliminato (Checkpoint ${state.currentCheckpoint.number})`);
+
+    recordCheckpointAssignment(athleteNumber, 0);
+    return true;
+}
+
+function recordFinishArrival(athleteNumber, name = '', surname = '') {
+    if (state.raceEnded) {
+        alert('❌ La gara è terminata, non puoi più modificare la classifica');
+        return false;
+    }
+
+    if (state.currentCheckpoint.type !== 'finish') {
+        alert('❌ Questo traguardo non prevede l\'ordine di arrivo');
+        return false;
+    }
+
+    if (isAthleteAlreadyAssignedInCheckpoint(athleteNumber)) {
+        alert(`❌ L'arrivo dell'atleta #${athleteNumber} è già stato registrato`);
+        return false;
+    }
+
+    const candidate = state.athletes.get(athleteNumber) || buildNewAthlete(athleteNumber, name, surname);
+    if (candidate.status !== 'normal') {
+        alert(`❌ L'atleta #${athleteNumber} non è più in gara`);
+        return false;
+    }
+
+    getOrCreateAthlete(athleteNumber, name, surname);
 
-            // Reset UI
-            raceScreen.classList.add('hidden');
-            configScreen.classList.remove('hidden');
+    const position = state.currentCheckpoint.assignedAthletes.length + 1;
+    logAction(`Arrivo: #${athleteNumber} ${position}° (Checkpoint ${state.currentCheckpoint.number})`);
 
-            // Reset config screen inputs
-            totalLapsInput.value = '10';
-            toggleButtons.forEach(btn => {
-                btn.classList.remove('active');
-                if (btn.dataset.frequency === 'every_lap') {
-                    btn.classList.add('active');
-                }
-            });
+    recordCheckpointAssignment(athleteNumber, 0);
+    return true;
+}
 
-            // Hide all race buttons
-            btnStartRace.classList.remove('hidden');
-            btnEndRace.classList.add('hidden');
-            btnOpenKeyboard.classList.add('hidden');
-            btnUndo.classList.add('hidden');
+// Arrival position at the finish (final sprint of an elimination race), or null
+function getFinishPosition(athleteNumber) {
+    const finish = state.checkpointHistory.find(checkpoint => checkpoint.type === 'finish');
+    if (!finish) return null;
+    const index = finish.athletes.findIndex(a => a.number === athleteNumber);
+    return index === -1 ? null : index + 1;
+}
 
-            // Hide last checkpoint summary
-            lastCheckpointSummary.classList.add('hidden');
-            lastCheckpointSummary.innerHTML = '';
+// ========== UNDO FUNCTIONALITY ==========
+function canUndo() {
+    return state.checkpointHistory.length > 0 && !state.raceEnded;
+}
 
-            console.log('Gara resettata completamente');
-        }
+function describeCheckpointEntry(checkpoint) {
+    if (checkpoint.neutralized) {
+        const assignments = checkpoint.athletes.map(a => `#${a.number}`).join(', ');
+        return `Checkpoint ${checkpoint.number}: neutralizzato (${checkpoint.voidReason})${assignments ? ` - ${assignments}` : ''}`;
+    }
+    if (checkpoint.type === 'elimination') {
+        return `Checkpoint ${checkpoint.number}: eliminato #${checkpoint.athletes[0].number}`;
+    }
+    if (checkpoint.type === 'finish') {
+        return `Arrivo: ${checkpoint.athletes.map((a, i) => `${i + 1}° #${a.number}`).join(', ')}`;
+    }
+    return `Checkpoint ${checkpoint.number}: ${checkpoint.athletes.map(a => `#${a.number} (${formatPoints(a.points)}pt)`).join(', ')}`;
+}
+
+function undoLastCheckpoint() {
+    if (!canUndo()) return;
+    
+    const lastCheckpoint = state.checkpointHistory[state.checkpointHistory.length - 1];
+    
+    showDialog(
+        '↩️',
+        'Annullare Ultimo Traguardo?',
+        describeCheckpointEntry(lastCheckpoint),
+        () => dispatchRaceEvent({ type: 'checkpoint_undo' })
     );
 }
 
-btnStartRace.addEventListener('click', startRace);
-btnEndRace.addEventListener('click', endRace);
-btnResetRace.addEventListener('click', resetRace);
+// Take back the last recorded checkpoint and reopen it
+function revertLastCheckpoint() {
+    if (!canUndo()) return false;
 
-// ========== CHECKPOINT MANAGEMENT ==========
-function initializeCheckpoint() {
-    state.currentCheckpoint.number++;
-    state.currentCheckpoint.assignedAthletes = [];
+    const lastCheckpoint = state.checkpointHistory[state.checkpointHistory.length - 1];
+
+    // Remove points from athletes (and bring eliminated athletes back into the race)
+    lastCheckpoint.athletes.forEach(assignment => {
+        const athlete = state.athletes.get(assignment.number);
+        if (!athlete) return;
+
+        if (lastCheckpoint.type === 'elimination') {
+            if (athlete.status === 'eliminated') {
+                athlete.status = 'normal';
+            }
+            athlete.eliminatedAt = null;
+            logAction(`Eliminazione di #${assignment.number} annullata (Undo Checkpoint ${lastCheckpoint.number})`);
+        } else if (assignment.points) {
+            athlete.points -= assignment.points;
+            logAction(`Rimossi ${formatPoints(assignment.points)} punti da #${assignment.number} (Undo Checkpoint ${lastCheckpoint.number})`);
+        }
+    });
     
-    // Determine if it's the final checkpoint
-    const isFinal = isNextCheckpointFinal();
-    state.currentCheckpoint.availablePoints = isFinal ? [3, 2, 1] : [2, 1];
+    // Restore laps
+    state.lapsRemaining = lastCheckpoint.lapsBeforeDecrement;
+    
+    // Remove from history
+    state.checkpointHistory.pop();
+    
+    // Reset current checkpoint to the undone one
+    state.currentCheckpoint.number = lastCheckpoint.number;
+    prepareCurrentCheckpoint(lastCheckpoint.type || 'points');
+    
+    // Hide end button if it was showing
+    updateEndRaceButton();
+    
+    logAction(`Undo Checkpoint ${lastCheckpoint.number} completato`);
+    saveToLocalStorage();
     
-    console.log(`Checkpoint ${state.currentCheckpoint.number} inizializzato, Finale: ${isFinal}, Punti: ${state.currentCheckpoint.availablePoints}`);
+    updateRaceHeader();
+    updateUndoButton();
+    updateLastCheckpointSummary();
+    renderLeaderboard();
+    return true;
 }
 
-function isNextCheckpointFinal() {
-    if (state.config.pointsFrequency === 'every_lap') {
-        return state.lapsRemaining === 1;
+function updateUndoButton() {
+    if (canUndo()) {
+        btnUndo.classList.remove('hidden');
     } else {
-        return state.lapsRemaining === 2;
+        btnUndo.classList.add('hidden');
     }
 }
 
-function canAssignPoints(points) {
-    return state.currentCheckpoint.availablePoints.includes(points);
+btnUndo.addEventListener('click', undoLastCheckpoint);
+
+// ========== CHECKPOINT CORRECTIONS ==========
+// Any recorded checkpoint can be corrected after a protest without undoing the later ones:
+// totals move by the difference and the tiebreaks, read from the history, follow
+const checkpointHistoryOverlay = document.getElementById('checkpointHistoryOverlay');
+const checkpointHistoryList = document.getElementById('checkpointHistoryList');
+const checkpointCorrection = document.getElementById('checkpointCorrection');
+
+// The checkpoint in progress is fixed with "Annulla traguardo"
+function canCorrectCheckpoint(entry) {
+    return !state.raceEnded && !viewingArchive &&
+        !(isCheckpointOpen() && entry.number === state.currentCheckpoint.number);
 }
 
-function isAthleteAlreadyAssignedInCheckpoint(athleteNumber) {
-    return state.currentCheckpoint.assignedAthletes.some(a => a.number === athleteNumber);
+// Athletes brought into a recorded checkpoint must have been able to score there, as live
+// assignment requires; those already recorded stay even if they left the race later
+function findIneligibleForCorrection(entry, numbers) {
+    return numbers.find(number => {
+        if (entry.athletes.some(a => a.number === number)) return false;
+        const athlete = state.athletes.get(number);
+        return isAthleteWithdrawn(athlete) ||
+            (athlete.status === 'eliminated' && athlete.eliminatedAt < entry.number) ||
+            (entry.type === 'finish' && athlete.status === 'lapped');
+    });
 }
 
-function assignPointsToAthlete(athleteNumber, points, name = '', surname = '') {
-    // Validation
-    if (state.raceEnded) {
-        alert('❌ La gara è terminata, non puoi più modificare la classifica');
-        return false;
+// Points of a corrected sprint, from the place of each athlete ({number, place}) on the
+// checkpoint's scale; athletes sharing a place are a dead heat. Returns the assignments,
+// or an error message
+function scoreCorrectedPlaces(entry, placed) {
+    const scale = getCheckpointScale(entry.isFinal);
+    const pools = {};
+    const groups = new Map();
+    placed.forEach(({ number, place }) => {
+        const category = isScoredByCategory() ? state.athletes.get(number).category : '';
+        const key = `${category}|${place}`;
+        if (!groups.has(key)) groups.set(key, { category, place, numbers: [] });
+        groups.get(key).numbers.push(number);
+    });
+
+    const assignments = [];
+    const sortedGroups = [...groups.values()].sort((a, b) => b.place - a.place);
+    for (const group of sortedGroups) {
+        const pool = pools[group.category] || (pools[group.category] = [...scale]);
+        if (!pool.includes(group.place)) {
+            return `Il ${scale.indexOf(group.place) + 1}° posto non è disponibile in questo traguardo`;
+        }
+        const awarded = takeDeadHeatPlaces(pool, group.place, group.numbers.length);
+        group.numbers.forEach(number => {
+            assignments.push(group.numbers.length > 1
+                ? { number, points: awarded, place: group.place, deadHeat: true }
+                : { number, points: awarded });
+        });
     }
+    return assignments;
+}
 
-    if (!canAssignPoints(points)) {
-        alert(`❌ Non puoi assegnare ${points} punti in questo checkpoint`);
+// Corrected assignments come as {number, place} for a points checkpoint, {number} otherwise
+function correctCheckpoint(checkpointNumber, corrected) {
+    const entry = state.checkpointHistory.find(checkpoint => checkpoint.number === checkpointNumber);
+    if (!entry || !canCorrectCheckpoint(entry)) return false;
+
+    const numbers = corrected.map(a => a.number);
+    const unknown = numbers.find(number => !state.athletes.has(number));
+    if (unknown !== undefined) {
+        alert(`❌ L'atleta #${unknown} non è in classifica`);
         return false;
     }
-
-    if (isAthleteAlreadyAssignedInCheckpoint(athleteNumber)) {
-        alert(`❌ L'atleta #${athleteNumber} ha già ricevuto punti in questo traguardo`);
+    if (new Set(numbers).size !== numbers.length) {
+        alert('❌ Un atleta compare più volte nello stesso traguardo');
+        return false;
+    }
+    const ineligible = findIneligibleForCorrection(entry, numbers);
+    if (ineligible !== undefined) {
+        alert(`❌ L'atleta #${ineligible} non può essere classificato in questo traguardo`);
         return false;
     }
 
-    // Get or create athlete
-    let athlete = state.athletes.get(athleteNumber);
-    if (!athlete) {
-        athlete = new Athlete(athleteNumber, name, surname);
-        state.athletes.set(athleteNumber, athlete);
-        const nameDisplay = name || surname ? ` (${name} ${surname})`.trim() : '';
-        logAction(`Atleta #${athleteNumber}${nameDisplay} aggiunto alla classifica`);
-    } else {
-        // Update name/surname if athlete exists but doesn't have them yet
-        if ((name && !athlete.name) || (surname && !athlete.surname)) {
-            const oldNameDisplay = athlete.name || athlete.surname ? ` (${athlete.name} ${athlete.surname})`.trim() : '';
+    let assignments = corrected.map(a => ({ number: a.number, points: 0 }));
+    if (entry.type === 'points') {
+        assignments = scoreCorrectedPlaces(entry, corrected);
+        if (typeof assignments === 'string') {
+            alert(`❌ ${assignments}`);
+            return false;
+        }
+    }
+    if (entry.type === 'elimination') {
+        if (numbers.length !== 1) {
+            alert('❌ Un traguardo a eliminazione ha un solo atleta eliminato');
+            return false;
+        }
+        const eliminated = state.athletes.get(numbers[0]);
+        if (eliminated.status !== 'normal' && eliminated.eliminatedAt !== entry.number) {
+            alert(`❌ L'atleta #${eliminated.number} non era in gara`);
+            return false;
+        }
+    }
 
-            if (name && !athlete.name) {
-                athlete.name = name;
-            }
-            if (surname && !athlete.surname) {
-                athlete.surname = surname;
-            }
+    const before = describeCheckpointEntry(entry);
 
-            const newNameDisplay = athlete.name || athlete.surname ? ` (${athlete.name} ${athlete.surname})`.trim() : '';
-            logAction(`Atleta #${athleteNumber}: aggiornato${oldNameDisplay} →${newNameDisplay}`);
+    // Take back what the recorded assignments gave, then give what the corrected ones do
+    entry.athletes.forEach(assignment => {
+        const athlete = state.athletes.get(assignment.number);
+        if (!athlete) return;
+        if (entry.type === 'elimination') {
+            if (athlete.status === 'eliminated' && athlete.eliminatedAt === entry.number) {
+                athlete.status = 'normal';
+                athlete.eliminatedAt = null;
+            }
+        } else if (assignment.points) {
+            adjustAthletePoints(athlete, -assignment.points);
         }
-    }
+    });
+    entry.athletes = assignments;
+    entry.athletes.forEach(assignment => {
+        const athlete = state.athletes.get(assignment.number);
+        if (entry.type === 'elimination') {
+            athlete.status = 'eliminated';
+            athlete.eliminatedAt = entry.number;
+        } else if (assignment.points) {
+            adjustAthletePoints(athlete, assignment.points);
+        }
+    });
 
-    // Check if disqualified
-    if (athlete.status === 'disqualified') {
-        alert(`❌ L'atleta #${athleteNumber} è squalificato. Riabilitalo prima di assegnare punti.`);
-        return false;
+    logAction(`Correzione ${before} → ${describeCheckpointEntry(entry)}`);
+    saveToLocalStorage();
+    renderLeaderboard();
+    updateLastCheckpointSummary();
+    return true;
+}
+
+function renderCheckpointHistory() {
+    checkpointCorrection.classList.add('hidden');
+    checkpointHistoryList.classList.remove('hidden');
+
+    if (state.checkpointHistory.length === 0) {
+        checkpointHistoryList.innerHTML = '<p class="championship-empty">Nessun traguardo registrato.</p>';
+        return;
     }
 
-    // Check if this is the first point assignment
-    const isFirstAssignment = state.currentCheckpoint.assignedAthletes.length === 0;
+    checkpointHistoryList.innerHTML = `<ul class="last-checkpoint-summary-list">${state.checkpointHistory.map(entry => `
+        <li class="last-checkpoint-summary-item archive-item">
+            <span>${describeCheckpointEntry(entry)}</span>
+            ${canCorrectCheckpoint(entry)
+                ? `<button type="button" class="submenu-btn" data-correct-checkpoint="${entry.number}">Correggi</button>`
+                : ''}
+        </li>`).join('')}</ul>`;
 
-    // Assign points
-    athlete.points += points;
+    checkpointHistoryList.querySelectorAll('[data-correct-checkpoint]').forEach(btn => {
+        btn.addEventListener('click', () => renderCheckpointCorrection(parseInt(btn.dataset.correctCheckpoint)));
+    });
+}
 
-    // Track assignment
-    state.currentCheckpoint.assignedAthletes.push({ number: athleteNumber, points });
+// A points place is picked on the checkpoint's scale, identified by its points as on the keyboard
+function renderCorrectionPlaceSelect(entry, assignment) {
+    const selected = assignment.number ? assignment.place || assignment.points : null;
+    const options = getCheckpointScale(entry.isFinal).map((value, i) =>
+        `<option value="${value}" ${value === selected ? 'selected' : ''}>${i + 1}° (${value}pt)</option>`
+    ).join('');
+    return `<select class="submenu-input" data-correction-place>${options}</select>`;
+}
 
-    // Remove from available points
-    const index = state.currentCheckpoint.availablePoints.indexOf(points);
-    state.currentCheckpoint.availablePoints.splice(index, 1);
+function renderCorrectionRow(entry, assignment, index) {
+    const athlete = state.athletes.get(assignment.number);
+    const name = athlete ? `${athlete.surname || ''} ${athlete.name || ''}`.trim() : '';
+    const placeText = entry.type === 'finish' ? `${index + 1}°` : entry.type === 'elimination' ? 'Eliminato' : '';
+    return `
+        <div class="submenu-inputs correction-row">
+            ${placeText ? `<span class="correction-place">${placeText}</span>` : ''}
+            ${entry.type === 'points' ? renderCorrectionPlaceSelect(entry, assignment) : ''}
+            <input type="number" class="submenu-input" data-correction-number min="1" placeholder="Numero" value="${assignment.number || ''}" title="${name}">
+        </div>`;
+}
 
-    logAction(`Assegnati ${points} punti a #${athleteNumber} (Checkpoint ${state.currentCheckpoint.number})`);
+// One row per assignment; clearing a number removes the assignment
+function renderCheckpointCorrection(checkpointNumber) {
+    const entry = state.checkpointHistory.find(checkpoint => checkpoint.number === checkpointNumber);
+    if (!entry) return;
+
+    const title = entry.type === 'finish' ? 'Ordine di arrivo' : `Traguardo ${entry.number}`;
+    const hint = entry.type === 'points'
+        ? 'Cambia piazzamento o numero di ogni atleta; lo stesso piazzamento a più atleti è un ex aequo. Svuota il numero per togliere un atleta.'
+        : entry.type === 'finish'
+            ? 'Riordina gli arrivi cambiando i numeri; svuota il numero per togliere un arrivo.'
+            : 'Indica l\'atleta effettivamente eliminato.';
+
+    checkpointCorrection.innerHTML = `
+        <div class="last-checkpoint-summary-title">${title}</div>
+        <p class="championship-empty">${hint}</p>
+        <div id="correctionRows">${entry.athletes.map((assignment, index) => renderCorrectionRow(entry, assignment, index)).join('')}</div>
+        ${entry.type === 'elimination' ? '' : '<button type="button" class="submenu-btn" id="btnAddCorrectionRow">➕ Aggiungi riga</button>'}
+        <div class="dialog-buttons">
+            <button type="button" class="dialog-btn dialog-btn-cancel" id="btnCancelCorrection">Annulla</button>
+            <button type="button" class="dialog-btn dialog-btn-confirm" id="btnConfirmCorrection">Salva correzione</button>
+        </div>
+    `;
 
-    // Save or update checkpoint in history
-    if (isFirstAssignment) {
-        // First assignment: create new history entry
-        state.checkpointHistory.push({
-            number: state.currentCheckpoint.number,
-            athletes: [...state.currentCheckpoint.assignedAthletes],
-            lapsBeforeDecrement: state.lapsRemaining
+    const rowsContainer = checkpointCorrection.querySelector('#correctionRows');
+    const btnAddRow = checkpointCorrection.querySelector('#btnAddCorrectionRow');
+    if (btnAddRow) {
+        btnAddRow.addEventListener('click', () => {
+            const index = rowsContainer.children.length;
+            rowsContainer.insertAdjacentHTML('beforeend', renderCorrectionRow(entry, { number: null, points: 0 }, index));
         });
-        updateUndoButton();
-    } else {
-        // Subsequent assignments: update the last history entry
-        const lastHistory = state.checkpointHistory[state.checkpointHistory.length - 1];
-        lastHistory.athletes = [...state.currentCheckpoint.assignedAthletes];
     }
+    checkpointCorrection.querySelector('#btnCancelCorrection').addEventListener('click', renderCheckpointHistory);
+    checkpointCorrection.querySelector('#btnConfirmCorrection').addEventListener('click', () => {
+        if (confirmCheckpointCorrection(entry, rowsContainer)) renderCheckpointHistory();
+    });
 
-    // Check if checkpoint is complete
-    checkCheckpointCompletion();
+    checkpointHistoryList.classList.add('hidden');
+    checkpointCorrection.classList.remove('hidden');
+}
 
-    renderLeaderboard();
-    updateKeyboardPoints();
-    updateLastCheckpointSummary();
+function getCorrectionInput(entry, assignment) {
+    return entry.type === 'points'
+        ? { number: assignment.number, place: assignment.place || assignment.points }
+        : { number: assignment.number };
+}
 
-    return true;
+function confirmCheckpointCorrection(entry, rowsContainer) {
+    const corrected = [];
+    rowsContainer.querySelectorAll('.correction-row').forEach(row => {
+        const number = parseInt(row.querySelector('[data-correction-number]').value);
+        if (isNaN(number)) return;
+        const placeSelect = row.querySelector('[data-correction-place]');
+        corrected.push(placeSelect ? { number, place: parseInt(placeSelect.value) } : { number });
+    });
+
+    const recorded = entry.athletes.map(assignment => getCorrectionInput(entry, assignment));
+    const unchanged = JSON.stringify(corrected) === JSON.stringify(recorded);
+    if (unchanged) return true;
+
+    return dispatchRaceEvent({
+        type: 'checkpoint_correction',
+        correctedCheckpoint: entry.number,
+        athletes: corrected,
+        previousAthletes: entry.athletes.map(assignment => ({ ...assignment }))
+    });
 }
 
-function checkCheckpointCompletion() {
-    const isFinal = state.currentCheckpoint.availablePoints.length === 0 && 
-                   (state.currentCheckpoint.assignedAthletes.length === 3 || 
-                    state.currentCheckpoint.assignedAthletes.length === 2);
-    
-    if (state.currentCheckpoint.availablePoints.length === 0) {
-        completeCheckpoint();
+function openCheckpointHistory() {
+    checkpointHistoryOverlay.classList.remove('hidden');
+    renderCheckpointHistory();
+}
+
+function closeCheckpointHistory() {
+    checkpointHistoryOverlay.classList.add('hidden');
+}
+
+document.getElementById('btnOpenCheckpointHistory').addEventListener('click', openCheckpointHistory);
+document.getElementById('btnCloseCheckpointHistory').addEventListener('click', closeCheckpointHistory);
+
+// ========== UNDO / REDO ==========
+// Every race action keeps a copy of the state it started from, so it can be reverted and
+// redone; its description is what the action wrote to the log
+const btnUndoAction = document.getElementById('btnUndoAction');
+const btnRedoAction = document.getElementById('btnRedoAction');
+const UNDO_LIMIT = 100;
+let undoStack = []; // [{ description, snapshot }], snapshot being the serialized state before the action
+let redoStack = []; // [{ description, snapshot }], snapshot being the serialized state after the action
+let undoableDepth = 0;
+
+// Nested actions (e.g. a warning escalating to a disqualification) make up a single step
+function runUndoable(action) {
+    if (undoableDepth > 0) return action();
+
+    const snapshot = JSON.stringify(serializeState());
+    const logLength = state.actionLog.length;
+    undoableDepth++;
+    try {
+        return action();
+    } finally {
+        undoableDepth--;
+        // Actions that changed nothing (rejected, or only opening a submenu) leave no step
+        const messages = getLogMessagesSince(logLength);
+        if (messages.length > 0) {
+            undoStack.push({ description: messages.join(' · '), snapshot });
+            if (undoStack.length > UNDO_LIMIT) undoStack.shift();
+            redoStack = [];
+        }
+        updateUndoRedoButtons();
     }
 }
 
-function completeCheckpoint() {
-    // Decrement laps
-    const decrement = state.config.pointsFrequency === 'every_lap' ? 1 : 2;
-    state.lapsRemaining -= decrement;
+function getLogMessagesSince(logLength) {
+    return state.actionLog.slice(logLength).map(entry => entry.message);
+}
 
-    logAction(`Checkpoint ${state.currentCheckpoint.number} completato - Giri: ${state.lapsRemaining}`);
+function canUndoAction() {
+    return undoStack.length > 0 && !state.raceEnded && !viewingArchive;
+}
 
-    // Check if race should end
-    if (state.lapsRemaining === 0) {
-        btnEndRace.classList.remove('hidden');
-    }
+function canRedoAction() {
+    return redoStack.length > 0 && !state.raceEnded && !viewingArchive;
+}
 
-    // Autosave
+function restoreUndoSnapshot(snapshot) {
+    restoreState(JSON.parse(snapshot));
+    pendingDeadHeat = [];
     saveToLocalStorage();
-
-    // Close keyboard and menu
-    closeKeyboard();
     closeAthleteMenu();
+    showRaceScreen();
+    updateNeutralizeButton();
+    if (!keyboardOverlay.classList.contains('hidden')) updateKeyboardPoints();
+}
 
-    // Initialize next checkpoint
-    if (state.lapsRemaining > 0) {
-        initializeCheckpoint();
+function undoAction() {
+    if (!canUndoAction()) return;
+    const step = undoStack.pop();
+    redoStack.push({ description: step.description, snapshot: JSON.stringify(serializeState()) });
+    restoreUndoSnapshot(step.snapshot);
+    updateUndoRedoButtons();
+}
+
+function redoAction() {
+    if (!canRedoAction()) return;
+    const step = redoStack.pop();
+    undoStack.push({ description: step.description, snapshot: JSON.stringify(serializeState()) });
+    restoreUndoSnapshot(step.snapshot);
+    updateUndoRedoButtons();
+}
+
+// A new race or heat starts with no history
+function clearUndoHistory() {
+    undoStack = [];
+    redoStack = [];
+    updateUndoRedoButtons();
+}
+
+function updateUndoRedoButtons() {
+    const undoStep = undoStack[undoStack.length - 1];
+    const redoStep = redoStack[redoStack.length - 1];
+    btnUndoAction.classList.toggle('hidden', !canUndoAction());
+    btnRedoAction.classList.toggle('hidden', !canRedoAction());
+    btnUndoAction.title = undoStep ? `Annulla (Ctrl+Z): ${undoStep.description}` : '';
+    btnRedoAction.title = redoStep ? `Ripeti (Ctrl+Y): ${redoStep.description}` : '';
+    btnUndoAction.querySelector('.undo-description').textContent = undoStep ? undoStep.description : '';
+    btnRedoAction.querySelector('.undo-description').textContent = redoStep ? redoStep.description : '';
+}
+
+btnUndoAction.addEventListener('click', undoAction);
+btnRedoAction.addEventListener('click', redoAction);
+
+// Ctrl+Z / Ctrl+Y (or Ctrl+Shift+Z) on the race screen; text fields keep their own undo
+document.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    if (raceScreen.classList.contains('hidden') || !dialogOverlay.classList.contains('hidden')) return;
+    if (document.activeElement && document.activeElement.matches('input, textarea, select')) return;
+
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undoAction();
+    } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+        e.preventDefault();
+        redoAction();
     }
+});
 
-    // Update UI
-    updateRaceHeader();
-    updateUndoButton();
-    updateLastCheckpointSummary();
-    renderLeaderboard();
+// ========== RACE EVENTS ==========
+// Race commands are recorded as typed events (who, how many points, at which checkpoint,
+// when and from which device); the race can be rebuilt by replaying them from the start
+const RACE_EVENT_TYPES = {
+    race_start: 'Partenza',
+    points: 'Punti traguardo',
+    dead_heat: 'Ex aequo',
+    elimination: 'Eliminazione',
+    finish: 'Arrivo',
+    neutralization: 'Neutralizzazione',
+    checkpoint_undo: 'Traguardo annullato',
+    checkpoint_correction: 'Correzione traguardo',
+    lap_change: 'Giro guadagnato/perso',
+    lapped: 'Doppiato',
+    unlapped: 'Doppiaggio annullato',
+    withdrawal: 'Ritiro/squalifica',
+    reinstated: 'Riammissione',
+    points_adjustment: 'Modifica punti',
+    athlete_edit: 'Modifica atleta',
+    sanction: 'Sanzione',
+    sanction_revoke: 'Sanzione annullata',
+    race_end: 'Fine gara'
+};
+const eventLogOverlay = document.getElementById('eventLogOverlay');
+const eventLogAthleteSelect = document.getElementById('eventLogAthlete');
+const eventLogTypeSelect = document.getElementById('eventLogType');
+const eventLogList = document.getElementById('eventLogList');
+const btnReplayEvents = document.getElementById('btnReplayEvents');
+
+// Tells apart the events of several devices scoring the same race
+function getDeviceId() {
+    let deviceId = localStorage.getItem('deviceId');
+    if (!deviceId) {
+        deviceId = `disp-${Math.random().toString(36).slice(2, 8)}`;
+        localStorage.setItem('deviceId', deviceId);
+    }
+    return deviceId;
 }
 
-// ========== UNDO FUNCTIONALITY ==========
-function canUndo() {
-    return state.checkpointHistory.length > 0 && !state.raceEnded;
+function stampRaceEvent(command) {
+    return {
+        athlete: null,
+        points: null,
+        ...command,
+        checkpoint: state.currentCheckpoint.number,
+        time: replayTime || new Date().toISOString(),
+        device: getDeviceId()
+    };
 }
 
-function undoLastCheckpoint() {
-    if (!canUndo()) return;
-    
-    const lastCheckpoint = state.checkpointHistory[state.checkpointHistory.length - 1];
-    
-    showDialog(
-        '↩️',
-        'Annullare Ultimo Traguardo?',
-        `Checkpoint ${lastCheckpoint.number}: ${lastCheckpoint.athletes.map(a => `#${a.number} (${a.points}pt)`).join(', ')}`,
-        () => {
-            // Remove points from athletes
-            lastCheckpoint.athletes.forEach(assignment => {
-                const athlete = state.athletes.get(assignment.number);
-                if (athlete) {
-                    athlete.points -= assignment.points;
-                    logAction(`Rimossi ${assignment.points} punti da #${assignment.number} (Undo Checkpoint ${lastCheckpoint.number})`);
-                }
-            });
-            
-            // Restore laps
-            state.lapsRemaining = lastCheckpoint.lapsBeforeDecrement;
-            
-            // Remove from history
-            state.checkpointHistory.pop();
-            
-            // Reset current checkpoint to the undone one
-            state.currentCheckpoint.number = lastCheckpoint.number;
-            state.currentCheckpoint.assignedAthletes = [];
-            const isFinal = isNextCheckpointFinal();
-            state.currentCheckpoint.availablePoints = isFinal ? [3, 2, 1] : [2, 1];
-            
-            // Hide end button if it was showing
-            if (state.lapsRemaining > 0) {
-                btnEndRace.classList.add('hidden');
-            }
-            
-            logAction(`Undo Checkpoint ${lastCheckpoint.number} completato`);
+// Run a race command and record it as one undoable step; rejected commands are not recorded
+function dispatchRaceEvent(command) {
+    return runUndoable(() => {
+        const event = stampRaceEvent(command);
+        const logLength = state.actionLog.length;
+        const result = applyRaceEvent(event);
+        if (result === true) {
+            state.raceEvents.push({ ...event, description: getLogMessagesSince(logLength).join(' · ') });
             saveToLocalStorage();
-            
-            updateRaceHeader();
-            updateUndoButton();
-            updateLastCheckpointSummary();
-            renderLeaderboard();
         }
-    );
+        return result;
+    });
+}
+
+function applyRaceEvent(event) {
+    switch (event.type) {
+        case 'points':
+            return assignPointsToAthlete(event.athlete, event.points, event.name, event.surname);
+        case 'dead_heat':
+            return assignDeadHeat(event.athletes, event.points);
+        case 'elimination':
+            return eliminateAthlete(event.athlete, event.name, event.surname);
+        case 'finish':
+            return recordFinishArrival(event.athlete, event.name, event.surname);
+        case 'neutralization':
+            return neutralizeCheckpoint(event.reason);
+        case 'checkpoint_undo':
+            return revertLastCheckpoint();
+        case 'checkpoint_correction':
+            return correctCheckpoint(event.correctedCheckpoint, event.athletes);
+        case 'lap_change':
+            return changeAthleteLaps(event.athlete, event.laps);
+        case 'lapped':
+            return lapAthlete(event.athlete);
+        case 'unlapped':
+            return unlapAthlete(event.athlete);
+        case 'withdrawal':
+            return withdrawAthlete(event.athlete, event.status);
+        case 'reinstated':
+            return reinstateAthlete(event.athlete);
+        case 'points_adjustment':
+            return modifyAthletePointsFree(event.athlete, event.points);
+        case 'athlete_edit':
+            return updateAthleteData(event.athlete, event.data);
+        case 'sanction':
+            return addSanction(event.athlete, event.sanction, event.points, event.article, event.reason);
+        case 'sanction_revoke':
+            return revokeSanction(event.athlete, event.index);
+        case 'race_end':
+            state.raceEnded = true;
+            logAction('Gara terminata - Classifica congelata');
+            return true;
+    }
+    return false;
+}
+
+function getRaceStartIndex() {
+    for (let i = state.raceEvents.length - 1; i >= 0; i--) {
+        if (state.raceEvents[i].type === 'race_start') return i;
+    }
+    return -1;
+}
+
+// Saves made before the event log have no starting field to replay from
+function canReplayRaceEvents() {
+    return getRaceStartIndex() >= 0 && !viewingArchive;
+}
+
+// Rebuild the race from its starting field and the events that followed
+function replayRaceEvents() {
+    const events = JSON.parse(JSON.stringify(state.raceEvents));
+    const startIndex = getRaceStartIndex();
+    const startEvent = events[startIndex];
+
+    const setupLog = state.actionLog.slice(0, startEvent.logLength);
+    // A round already added to the championship must not be offered again after the rebuild
+    const addedToChampionship = state.addedToChampionship;
+
+    clearRaceProgress();
+    state.actionLog = setupLog;
+    state.addedToChampionship = addedToChampionship;
+    JSON.parse(JSON.stringify(startEvent.athletes)).forEach(athlete => {
+        state.athletes.set(athlete.number, Object.assign(new Athlete(athlete.number), athlete));
+    });
+    pendingDeadHeat = [];
+    try {
+        replayTime = startEvent.time;
+        startRace();
+        events.slice(startIndex + 1).forEach(event => {
+            replayTime = event.time;
+            applyRaceEvent(JSON.parse(JSON.stringify(event)));
+        });
+    } finally {
+        replayTime = null;
+    }
+    state.raceEvents = events;
+    saveToLocalStorage();
+
+    closeAthleteMenu();
+    showRaceScreen();
+}
+
+function getEventAthletes(event) {
+    return [...(event.athletes || []), ...(event.previousAthletes || [])];
+}
+
+function eventInvolvesAthlete(event, athleteNumber) {
+    return event.athlete === athleteNumber ||
+        getEventAthletes(event).some(a => a.number === athleteNumber) ||
+        (event.data && event.data.number === athleteNumber);
+}
+
+function formatEventTime(isoTime) {
+    return new Date(isoTime).toLocaleTimeString('it-IT', { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+}
+
+function renderEventLogFilters() {
+    const numbers = new Set();
+    state.raceEvents.forEach(event => {
+        if (event.athlete !== null) numbers.add(event.athlete);
+        getEventAthletes(event).forEach(a => numbers.add(a.number));
+        if (event.data) numbers.add(event.data.number);
+    });
+    const types = Object.keys(RACE_EVENT_TYPES).filter(type => state.raceEvents.some(event => event.type === type));
+
+    const selectedAthlete = eventLogAthleteSelect.value;
+    const selectedType = eventLogTypeSelect.value;
+    eventLogAthleteSelect.innerHTML = '<option value="">Tutti gli atleti</option>' +
+        [...numbers].sort((a, b) => a - b).map(number => {
+            const athlete = state.athletes.get(number);
+            const name = athlete ? ` ${athlete.surname || ''} ${athlete.name || ''}`.trimEnd() : '';
+            return `<option value="${number}">#${number}${name}</option>`;
+        }).join('');
+    eventLogTypeSelect.innerHTML = '<option value="">Tutti gli eventi</option>' +
+        types.map(type => `<option value="${type}">${RACE_EVENT_TYPES[type]}</option>`).join('');
+    eventLogAthleteSelect.value = numbers.has(parseInt(selectedAthlete)) ? selectedAthlete : '';
+    eventLogTypeSelect.value = types.includes(selectedType) ? selectedType : '';
 }
 
-function updateUndoButton() {
-    if (canUndo()) {
-        btnUndo.classList.remove('hidden');
-    } else {
-        btnUndo.classList.add('hidden');
+function renderEventLog() {
+    const athleteNumber = parseInt(eventLogAthleteSelect.value);
+    const type = eventLogTypeSelect.value;
+    const events = state.raceEvents.filter(event =>
+        (isNaN(athleteNumber) || eventInvolvesAthlete(event, athleteNumber)) && (!type || event.type === type));
+
+    btnReplayEvents.disabled = !canReplayRaceEvents();
+
+    if (events.length === 0) {
+        eventLogList.innerHTML = `<p class="championship-empty">${state.raceEvents.length === 0 ? 'Nessun evento registrato.' : 'Nessun evento trovato.'}</p>`;
+        return;
     }
+
+    eventLogList.innerHTML = `<ul class="last-checkpoint-summary-list">${events.map(event => `
+        <li class="last-checkpoint-summary-item event-log-item">
+            <span class="event-log-meta">${formatEventTime(event.time)} • T${event.checkpoint} • ${event.device}</span>
+            <strong>${RACE_EVENT_TYPES[event.type] || event.type}</strong>
+            <span>${escapeHtml(event.description)}</span>
+        </li>`).join('')}</ul>`;
 }
 
-btnUndo.addEventListener('click', undoLastCheckpoint);
+function openEventLog() {
+    eventLogOverlay.classList.remove('hidden');
+    renderEventLogFilters();
+    renderEventLog();
+}
+
+function closeEventLog() {
+    eventLogOverlay.classList.add('hidden');
+}
+
+document.getElementById('btnOpenEventLog').addEventListener('click', openEventLog);
+document.getElementById('btnCloseEventLog').addEventListener('click', closeEventLog);
+eventLogAthleteSelect.addEventListener('change', renderEventLog);
+eventLogTypeSelect.addEventListener('change', renderEventLog);
+btnReplayEvents.addEventListener('click', () => {
+    if (!canReplayRaceEvents()) return;
+    closeEventLog();
+    showDialog(
+        '🔁',
+        'Ricostruire la gara dagli eventi?',
+        'Punti, traguardi e stati degli atleti verranno ricalcolati rieseguendo gli eventi registrati dalla partenza.',
+        () => {
+            replayRaceEvents();
+            clearUndoHistory();
+        }
+    );
+});
 
 // ========== LEADERBOARD RENDERING ==========
 function getFinalCheckpointPoints(athleteNumber) {
-    // Find the final checkpoint (the one with 3 points available)
+    // Find the final checkpoint (flagged when its first points were assigned)
     let finalCheckpoint = null;
 
-    // Search through history for checkpoints with 3 points
     for (let i = state.checkpointHistory.length - 1; i >= 0; i--) {
         const checkpoint = state.checkpointHistory[i];
-        // Check if this was a final checkpoint (had 3 points assignments possible)
-        const had3Points = checkpoint.athletes.some(a => a.points === 3);
-        if (had3Points) {
+        // The arrival order comes after the final sprint but awards no points
+        if (checkpoint.type === 'finish') continue;
+        // Saves without the flag only knew the FISR scale, where 3 points meant final
+        const isFinal = checkpoint.isFinal !== undefined
+            ? checkpoint.isFinal
+            : checkpoint.athletes.some(a => a.points === 3);
+        if (isFinal) {
             finalCheckpoint = checkpoint;
             break;
         }
@@ -661,8 +2909,11 @@ function getFinalCheckpointPoints(athleteNumber) {
     const assignment = finalCheckpoint.athletes.find(a => a.number === athleteNumber);
 
     if (assignment) {
-        // Return both points and order (lower index = arrived first)
-        const order = finalCheckpoint.athletes.findIndex(a => a.number === athleteNumber);
+        // Return both points and order (lower index = arrived first); athletes in a
+        // dead heat share the order of the first of them, so they stay tied
+        const order = assignment.deadHeat
+            ? finalCheckpoint.athletes.findIndex(a => a.deadHeat && a.place === assignment.place)
+            : finalCheckpoint.athletes.findIndex(a => a.number === athleteNumber);
         return { points: assignment.points, order: order };
     }
 
@@ -670,7 +2921,147 @@ function getFinalCheckpointPoints(athleteNumber) {
     return { points: 0, order: 999 };
 }
 
+// Ranking order: racing athletes, eliminated, lapped, retired, non-starters,
+// disqualified, then athletes out of the race
+const STATUS_RANK = { normal: 0, eliminated: 1, lapped: 2, dnf: 3, dns: 4, disqualified: 5, out_of_race: 6 };
+
+function getStatusRank(athlete) {
+    // Points-elimination race: eliminated athletes keep competing on their points
+    if (athlete.status === 'eliminated' && state.config.raceType === 'points_elimination') {
+        return STATUS_RANK.normal;
+    }
+    return STATUS_RANK[athlete.status];
+}
+
+// Shared by the live leaderboard and the PDF export
+function compareAthletes(a, b) {
+    // First: group by status
+    if (getStatusRank(a) !== getStatusRank(b)) {
+        return getStatusRank(a) - getStatusRank(b);
+    }
+
+    // Eliminated athletes: the later the elimination, the better the position
+    if (a.status === 'eliminated' && b.status === 'eliminated' && !raceAwardsPoints()) {
+        return b.eliminatedAt - a.eliminatedAt;
+    }
+
+    // Lapped athletes: the later the lapping, the better the position, then the points they had
+    if (a.status === 'lapped') {
+        const aLappedAt = a.lappedAt || 0;
+        const bLappedAt = b.lappedAt || 0;
+        if (aLappedAt !== bLappedAt) return bLappedAt - aLappedAt;
+        if (comparePoints(b.savedPoints, a.savedPoints) !== 0) return comparePoints(b.savedPoints, a.savedPoints);
+    }
+
+    // Retired athletes: the points scored before leaving the race count
+    if (a.status === 'dnf' && comparePoints(b.savedPoints, a.savedPoints) !== 0) {
+        return comparePoints(b.savedPoints, a.savedPoints);
+    }
+
+    // Elimination race: survivors are ranked by their arrival in the final sprint
+    if (state.config.raceType === 'elimination' && a.status === 'normal') {
+        const aPosition = getFinishPosition(a.number) || Infinity;
+        const bPosition = getFinishPosition(b.number) || Infinity;
+        if (aPosition !== bPosition) return aPosition - bPosition;
+        return a.number - b.number;
+    }
+
+    // Then: laps gained on the main pack count before points
+    const aLaps = a.lapDelta || 0;
+    const bLaps = b.lapDelta || 0;
+    if (aLaps !== bLaps) {
+        return bLaps - aLaps;
+    }
+
+    // Then: sort by total points (descending)
+    if (comparePoints(b.points, a.points) !== 0) {
+        return comparePoints(b.points, a.points);
+    }
+
+    // Points-elimination race: at equal points, whoever stayed longer in the race is ahead
+    const aEliminatedAt = a.eliminatedAt || Infinity;
+    const bEliminatedAt = b.eliminatedAt || Infinity;
+    if (aEliminatedAt !== bEliminatedAt) {
+        return bEliminatedAt - aEliminatedAt;
+    }
+
+    // If equal points > 0, sort by final checkpoint performance
+    const aFinal = getFinalCheckpointPoints(a.number);
+    const bFinal = getFinalCheckpointPoints(b.number);
+
+    // If we have final checkpoint data, use it for tiebreaker
+    if (aFinal && bFinal) {
+        // First compare by points in final checkpoint (higher is better)
+        if (comparePoints(bFinal.points, aFinal.points) !== 0) {
+            return comparePoints(bFinal.points, aFinal.points);
+        }
+        // If same points in final checkpoint, earlier arrival wins (lower order is better)
+        if (aFinal.order !== bFinal.order) {
+            return aFinal.order - bFinal.order;
+        }
+    }
+
+    // Then: arrival order at the finish, for equal or zero points
+    const aPosition = getFinishPosition(a.number) || Infinity;
+    const bPosition = getFinishPosition(b.number) || Infinity;
+    if (aPosition !== bPosition) {
+        return aPosition - bPosition;
+    }
+
+    // Athletes without any other tiebreaker sort by number ascending
+    if (['normal', 'dnf', 'dns', 'out_of_race'].includes(a.status)) return a.number - b.number;
+
+    return 0;
+}
+
+function raceAwardsPoints() {
+    return state.config.raceType !== 'elimination';
+}
+
+// Checkpoint of the lapping as shown in the "Stato" column (e.g. " T5")
+function formatLappedAt(athlete) {
+    return athlete.lappedAt ? ` T${athlete.lappedAt}` : '';
+}
+
+// Overall ranking, or the ranking of a single category
+function getSortedAthletes(category = null) {
+    return Array.from(state.athletes.values())
+        .filter(athlete => category === null || athlete.category === category)
+        .sort(compareAthletes);
+}
+
+// ========== CATEGORIES ==========
+const categoryTabs = document.getElementById('categoryTabs');
+let activeCategory = null; // Category shown in the leaderboard, null for the overall ranking
+
+function getCategories() {
+    const categories = new Set(Array.from(state.athletes.values()).map(a => a.category).filter(Boolean));
+    return Array.from(categories).sort((a, b) => a.localeCompare(b));
+}
+
+function renderCategoryTabs() {
+    const categories = getCategories();
+    if (!categories.includes(activeCategory)) activeCategory = null;
+
+    categoryTabs.classList.toggle('hidden', categories.length === 0);
+    categoryTabs.innerHTML = [null, ...categories].map(category => `
+        <button type="button" class="category-tab${category === activeCategory ? ' active' : ''}" data-category="${escapeHtml(category || '')}">
+            ${category ? escapeHtml(category) : 'Tutti'}
+        </button>
+    `).join('');
+
+    categoryTabs.querySelectorAll('.category-tab').forEach(tab => {
+        tab.addEventListener('click', () => {
+            activeCategory = tab.dataset.category || null;
+            renderLeaderboard();
+        });
+    });
+}
+
 function renderLeaderboard() {
+    renderCategoryTabs();
+    renderTeamStandings();
+
     if (state.athletes.size === 0) {
         leaderboardContent.innerHTML = `
             <div class="empty-leaderboard">
@@ -682,41 +3073,11 @@ function renderLeaderboard() {
         return;
     }
 
-    // Sort athletes with tiebreaker logic
-    const sortedAthletes = Array.from(state.athletes.values())
-        .sort((a, b) => {
-            // First: disqualified athletes go to bottom (after lapped)
-            if (a.status === 'disqualified' && b.status !== 'disqualified') return 1;
-            if (a.status !== 'disqualified' && b.status === 'disqualified') return -1;
-
-            // Second: lapped athletes go after normal, before disqualified
-            if (a.status === 'lapped' && b.status !== 'lapped') return 1;
-            if (a.status !== 'lapped' && b.status === 'lapped') return -1;
-
-            // Third: sort by total points (descending)
-            if (b.points !== a.points) {
-                return b.points - a.points;
-            }
-
-            // Fourth: normal athletes at 0 points sort by number ascending
-            if (a.status === 'normal' && a.points === 0) return a.number - b.number;
-
-            // Fifth: if equal points > 0, sort by final checkpoint performance
-            const aFinal = getFinalCheckpointPoints(a.number);
-            const bFinal = getFinalCheckpointPoints(b.number);
-
-            // If we have final checkpoint data, use it for tiebreaker
-            if (aFinal && bFinal) {
-                // First compare by points in final checkpoint (higher is better)
-                if (bFinal.points !== aFinal.points) {
-                    return bFinal.points - aFinal.points;
-                }
-                // If same points in final checkpoint, earlier arrival wins (lower order is better)
-                return aFinal.order - bFinal.order;
-            }
-
-            return 0;
-        });
+    const sortedAthletes = getSortedAthletes(activeCategory);
+    const showLaps = sortedAthletes.some(a => a.lapDelta);
+    // Inside a category tab its column would repeat the tab name
+    const detailFields = getAthleteDetailFields(sortedAthletes)
+        .filter(field => !(activeCategory && field.key === 'category'));
     
     let html = `
         <table class="leaderboard-table">
@@ -726,7 +3087,9 @@ function renderLeaderboard() {
                     <th style="width: 80px;">Numero</th>
                     <th>Cognome</th>
                     <th>Nome</th>
-                    <th style="width: 80px;">Punti</th>
+                    ${detailFields.map(field => `<th>${field.label}</th>`).join('')}
+                    ${showLaps ? '<th style="width: 60px;">Giri</th>' : ''}
+                    ${raceAwardsPoints() ? '<th style="width: 80px;">Punti</th>' : ''}
                     <th style="width: 60px;">Stato</th>
                 </tr>
             </thead>
@@ -739,8 +3102,9 @@ function renderLeaderboard() {
                              position === 2 ? 'position-2' :
                              position === 3 ? 'position-3' : 'position-other';
 
-        const statusIcon = athlete.status === 'lapped' ? '🔄' :
-                          athlete.status === 'disqualified' ? '❌' : '';
+        const statusIcon = athlete.status === 'lapped' ? `🔄${formatLappedAt(athlete)}` :
+                          athlete.status === 'eliminated' ? '🚫' :
+                          isAthleteWithdrawn(athlete) ? WITHDRAWAL_STATUSES[athlete.status].icon : '';
 
         const rowClass = state.raceEnded ? '' : '';
         const clickable = !state.raceEnded;
@@ -754,14 +3118,20 @@ function renderLeaderboard() {
                     <span class="athlete-number">#${athlete.number}</span>
                 </td>
                 <td>
-                    <span class="athlete-surname">${athlete.surname || ''}</span>
-                </td>
-                <td>
-                    <span class="athlete-name">${athlete.name || ''}</span>
+                    <span class="athlete-surname">${escapeHtml(athlete.surname || '')}</span>
                 </td>
                 <td>
-                    <span class="athlete-points">${athlete.points}</span>
+                    <span class="athlete-name">${escapeHtml(athlete.name || '')}</span>
                 </td>
+                ${detailFields.map(field => `<td>
+                    <span class="athlete-detail">${escapeHtml(athlete[field.key] || '')}</span>
+                </td>`).join('')}
+                ${showLaps ? `<td>
+                    <span class="athlete-laps">${formatLapDelta(athlete.lapDelta)}</span>
+                </td>` : ''}
+                ${raceAwardsPoints() ? `<td>
+                    <span class="athlete-points">${formatPoints(athlete.points)}</span>
+                </td>` : ''}
                 <td>
                     <span class="athlete-status">${statusIcon}</span>
                 </td>
@@ -787,6 +3157,96 @@ function renderLeaderboard() {
     }
 }
 
+// ========== TEAM CLASSIFICATION ==========
+// Clubs ranked on their best athletes; athletes without a club or withdrawn don't count
+const teamStandings = document.getElementById('teamStandings');
+
+const TEAM_BASIS_LABELS = {
+    points: 'punti gara',
+    placing: 'punti piazzamento'
+};
+
+// Races without points can only be ranked by placing
+function getTeamBasis() {
+    return raceAwardsPoints() ? state.config.teamRules.basis : 'placing';
+}
+
+function getTeamStanding() {
+    const rules = state.config.teamRules;
+    const basis = getTeamBasis();
+    const clubs = new Map();
+    // Scored by category, placings are the official ones inside each category
+    const placesTaken = new Map();
+
+    getSortedAthletes().forEach(athlete => {
+        const group = isScoredByCategory() ? athlete.category : '';
+        const index = placesTaken.get(group) || 0;
+        placesTaken.set(group, index + 1);
+        if (!athlete.club || isAthleteWithdrawn(athlete)) return;
+        const score = basis === 'points' ? athlete.points : (rules.placingPoints[index] || 0);
+        if (!clubs.has(athlete.club)) clubs.set(athlete.club, []);
+        clubs.get(athlete.club).push({ athlete, score });
+    });
+
+    return Array.from(clubs, ([club, entries]) => {
+        const counted = entries.sort((a, b) => b.score - a.score).slice(0, rules.bestCount);
+        return { club, counted, total: counted.reduce((sum, entry) => sum + entry.score, 0) };
+    }).sort(compareTeamEntries);
+}
+
+// Equal totals: the club with the better best athlete, then second best, and so on
+function compareTeamEntries(a, b) {
+    if (comparePoints(a.total, b.total) !== 0) return comparePoints(b.total, a.total);
+    for (let i = 0; i < Math.max(a.counted.length, b.counted.length); i++) {
+        const scoreA = a.counted[i] ? a.counted[i].score : -Infinity;
+        const scoreB = b.counted[i] ? b.counted[i].score : -Infinity;
+        if (comparePoints(scoreA, scoreB) !== 0) return scoreB - scoreA;
+    }
+    return a.club.localeCompare(b.club);
+}
+
+function getTeamRulesDescription() {
+    return `Migliori ${state.config.teamRules.bestCount} per società, ${TEAM_BASIS_LABELS[getTeamBasis()]}`
+        + (getTeamBasis() === 'placing' ? ` (${formatPointsScale(state.config.teamRules.placingPoints)})` : '');
+}
+
+function formatTeamCounted(entry) {
+    return entry.counted.map(({ athlete, score }) => `#${athlete.number} (${formatPoints(score)})`).join(', ');
+}
+
+function renderTeamStandings() {
+    const standing = getTeamStanding();
+    teamStandings.classList.toggle('hidden', standing.length === 0);
+    if (standing.length === 0) {
+        teamStandings.innerHTML = '';
+        return;
+    }
+
+    teamStandings.innerHTML = `
+        <div class="last-checkpoint-summary-title">🏅 Classifica società · ${getTeamRulesDescription()}</div>
+        <table class="leaderboard-table">
+            <thead>
+                <tr>
+                    <th style="width: 60px;">Pos.</th>
+                    <th>Società</th>
+                    <th>Atleti conteggiati</th>
+                    <th style="width: 80px;">Punti</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${standing.map((entry, index) => `
+                    <tr>
+                        <td>${index + 1}</td>
+                        <td>${escapeHtml(entry.club)}</td>
+                        <td><span class="athlete-detail">${formatTeamCounted(entry)}</span></td>
+                        <td><span class="athlete-points">${formatPoints(entry.total)}</span></td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
 // ========== ATHLETE MENU (Context Menu) ==========
 const athleteMenu = document.getElementById('athleteMenu');
 let currentMenuAthlete = null;
@@ -804,9 +3264,15 @@ function showAthleteMenu(athleteNumber, event) {
     const menuAssignPointsSection = document.getElementById('menuAssignPointsSection');
     const menuModifyPoints = document.getElementById('menuModifyPoints');
     const menuEditAthlete = document.getElementById('menuEditAthlete');
+    const menuSanctions = document.getElementById('menuSanctions');
+    const menuGainLap = document.getElementById('menuGainLap');
+    const menuLoseLap = document.getElementById('menuLoseLap');
     const menuLap = document.getElementById('menuLap');
     const menuUnlap = document.getElementById('menuUnlap');
     const menuDisqualify = document.getElementById('menuDisqualify');
+    const menuDnf = document.getElementById('menuDnf');
+    const menuDns = document.getElementById('menuDns');
+    const menuOutOfRace = document.getElementById('menuOutOfRace');
     const menuReinstate = document.getElementById('menuReinstate');
     const menuDivider2 = document.getElementById('menuDivider2');
 
@@ -815,7 +3281,7 @@ function showAthleteMenu(athleteNumber, event) {
     editSubmenu.classList.add('hidden');
 
     // Remove old listeners by cloning all menu items
-    [menuModifyPoints, menuEditAthlete, menuLap, menuUnlap, menuDisqualify, menuReinstate].forEach(item => {
+    [menuModifyPoints, menuEditAthlete, menuSanctions, menuGainLap, menuLoseLap, menuLap, menuUnlap, menuDisqualify, menuDnf, menuDns, menuOutOfRace, menuReinstate].forEach(item => {
         const newItem = item.cloneNode(true);
         item.parentNode.replaceChild(newItem, item);
     });
@@ -823,36 +3289,61 @@ function showAthleteMenu(athleteNumber, event) {
     // Get the new cloned elements
     const newMenuModifyPoints = document.getElementById('menuModifyPoints');
     const newMenuEditAthlete = document.getElementById('menuEditAthlete');
+    const newMenuSanctions = document.getElementById('menuSanctions');
+    const newMenuGainLap = document.getElementById('menuGainLap');
+    const newMenuLoseLap = document.getElementById('menuLoseLap');
     const newMenuLap = document.getElementById('menuLap');
     const newMenuUnlap = document.getElementById('menuUnlap');
     const newMenuDisqualify = document.getElementById('menuDisqualify');
+    const newMenuDnf = document.getElementById('menuDnf');
+    const newMenuDns = document.getElementById('menuDns');
+    const newMenuOutOfRace = document.getElementById('menuOutOfRace');
     const newMenuReinstate = document.getElementById('menuReinstate');
 
     // Hide all items first
     menuAssignPointsSection.classList.add('hidden');
     newMenuModifyPoints.classList.add('hidden');
     newMenuEditAthlete.classList.add('hidden');
+    newMenuGainLap.classList.add('hidden');
+    newMenuLoseLap.classList.add('hidden');
     newMenuLap.classList.add('hidden');
     newMenuUnlap.classList.add('hidden');
     newMenuDisqualify.classList.add('hidden');
+    newMenuDnf.classList.add('hidden');
+    newMenuDns.classList.add('hidden');
+    newMenuOutOfRace.classList.add('hidden');
     newMenuReinstate.classList.add('hidden');
     menuDivider2.classList.add('hidden');
 
-    // Show items based on athlete status
+    // Show items based on athlete status (sanctions can be given to any athlete)
+    newMenuSanctions.classList.remove('hidden');
     if (athlete.status === 'normal') {
         menuAssignPointsSection.classList.remove('hidden');
-        newMenuModifyPoints.classList.remove('hidden');
+        if (raceAwardsPoints()) {
+            newMenuModifyPoints.classList.remove('hidden');
+            newMenuGainLap.classList.remove('hidden');
+            newMenuLoseLap.classList.remove('hidden');
+        }
         newMenuEditAthlete.classList.remove('hidden');
         newMenuLap.classList.remove('hidden');
         newMenuDisqualify.classList.remove('hidden');
+        newMenuDnf.classList.remove('hidden');
+        newMenuDns.classList.remove('hidden');
+        newMenuOutOfRace.classList.remove('hidden');
         menuDivider2.classList.remove('hidden');
     } else if (athlete.status === 'lapped') {
         newMenuEditAthlete.classList.remove('hidden');
         newMenuUnlap.classList.remove('hidden');
         newMenuDisqualify.classList.remove('hidden');
-    } else if (athlete.status === 'disqualified') {
+        newMenuDnf.classList.remove('hidden');
+        newMenuOutOfRace.classList.remove('hidden');
+    } else if (isAthleteWithdrawn(athlete)) {
         newMenuEditAthlete.classList.remove('hidden');
         newMenuReinstate.classList.remove('hidden');
+    } else if (athlete.status === 'eliminated') {
+        // Eliminations are reverted through "Annulla traguardo"
+        newMenuEditAthlete.classList.remove('hidden');
+        newMenuDisqualify.classList.remove('hidden');
     }
 
     // Update assign points buttons
@@ -909,28 +3400,91 @@ function closeAthleteMenu() {
     currentMenuAthlete = null;
 }
 
+// Build the checkpoint buttons: one per place of the scoring scale, or the
+// single elimination/arrival action of an elimination race
+function renderPointsButtons(container, buttonClass) {
+    const type = state.currentCheckpoint.type;
+    if (type === 'elimination') {
+        container.innerHTML = `<button type="button" class="${buttonClass}" data-action="eliminate" disabled>🚫 Elimina</button>`;
+        return;
+    }
+    if (type === 'finish') {
+        const position = state.currentCheckpoint.assignedAthletes.length + 1;
+        container.innerHTML = `<button type="button" class="${buttonClass}" data-action="finish" disabled>🏁 ${position}° arrivato</button>`;
+        return;
+    }
+    const scale = getCheckpointScale(isNextCheckpointFinal());
+    container.innerHTML = scale
+        .map(value => `<button type="button" class="${buttonClass}" data-action="points" data-points="${value}" disabled>+${value}</button>`)
+        .join('') +
+        `<button type="button" class="${buttonClass}" data-action="dead-heat" disabled>= Ex aequo</button>`;
+}
+
+function getCheckpointButtonsTitle() {
+    const type = state.currentCheckpoint.type;
+    if (type === 'elimination') return 'Eliminazione Traguardo';
+    if (type === 'finish') return 'Ordine di Arrivo';
+    if (pendingDeadHeat.length > 0) {
+        return `Ex aequo con ${pendingDeadHeat.map(e => `#${e.number}`).join(', ')}: scegli il piazzamento`;
+    }
+    return 'Assegna Punti Traguardo';
+}
+
+function isCheckpointButtonAvailable(btn, athleteNumber) {
+    if (!isCheckpointOpen()) return false;
+    if (btn.dataset.action === 'points') {
+        return canAssignPoints(parseInt(btn.dataset.points), athleteNumber);
+    }
+    if (btn.dataset.action === 'dead-heat') {
+        return athleteNumber === undefined ? state.currentCheckpoint.type === 'points' : getAvailablePoints(athleteNumber).length > 0;
+    }
+    return true;
+}
+
+function applyCheckpointButton(btn, athleteNumber, name = '', surname = '') {
+    if (btn.dataset.action === 'eliminate') {
+        return dispatchRaceEvent({ type: 'elimination', athlete: athleteNumber, name, surname });
+    }
+    if (btn.dataset.action === 'finish') {
+        return dispatchRaceEvent({ type: 'finish', athlete: athleteNumber, name, surname });
+    }
+    if (btn.dataset.action === 'dead-heat') {
+        // Only marks the athlete as tied: the event is the place chosen next
+        return addPendingDeadHeat(athleteNumber, name, surname);
+    }
+    const points = parseInt(btn.dataset.points);
+    if (pendingDeadHeat.length > 0) {
+        return dispatchRaceEvent({
+            type: 'dead_heat',
+            athletes: [...pendingDeadHeat, { number: athleteNumber, name, surname }],
+            points
+        });
+    }
+    return dispatchRaceEvent({ type: 'points', athlete: athleteNumber, points, name, surname });
+}
+
+// Result of one assignment as shown in checkpoint summaries
+function formatAssignmentResult(checkpointType, assignment, index) {
+    if (checkpointType === 'elimination') return 'eliminato';
+    if (checkpointType === 'finish') return `${index + 1}°`;
+    return assignment.deadHeat ? `${formatPoints(assignment.points)}pt ex aequo` : `${assignment.points}pt`;
+}
+
 function updateAssignPointsButtons(athleteNumber) {
-    const points = state.currentCheckpoint.availablePoints;
     const buttonsContainer = document.getElementById('menuAssignPointsButtons');
+    document.getElementById('menuAssignPointsTitle').textContent = getCheckpointButtonsTitle();
 
-    // Get all buttons and update their state
-    const buttons = buttonsContainer.querySelectorAll('.submenu-btn');
-    buttons.forEach(btn => {
-        const pointValue = parseInt(btn.dataset.points);
-        const disabled = !points.includes(pointValue);
-        btn.disabled = disabled;
-
-        // Clone to remove old listeners
-        const newBtn = btn.cloneNode(true);
-        btn.parentNode.replaceChild(newBtn, btn);
+    // Rebuild the buttons (also drops old listeners) and update their state
+    renderPointsButtons(buttonsContainer, 'submenu-btn');
+    buttonsContainer.querySelectorAll('.submenu-btn').forEach(btn => {
+        btn.disabled = !isCheckpointButtonAvailable(btn, athleteNumber);
     });
 
     // Add event listeners to all buttons
     buttonsContainer.querySelectorAll('.submenu-btn').forEach(btn => {
         btn.addEventListener('click', (e) => {
             e.stopPropagation();
-            const pointValue = parseInt(btn.dataset.points);
-            assignPointsToAthlete(athleteNumber, pointValue);
+            applyCheckpointButton(btn, athleteNumber);
             closeAthleteMenu();
         });
     });
@@ -946,20 +3500,43 @@ function handleMenuAction(action) {
         case 'edit-athlete':
             showEditAthleteSubmenu(athleteNumber);
             break;
+        case 'sanctions':
+            showSanctionsSubmenu(athleteNumber);
+            break;
+        case 'gain-lap':
+            dispatchRaceEvent({ type: 'lap_change', athlete: athleteNumber, laps: 1 });
+            closeAthleteMenu();
+            break;
+        case 'lose-lap':
+            dispatchRaceEvent({ type: 'lap_change', athlete: athleteNumber, laps: -1 });
+            closeAthleteMenu();
+            break;
         case 'lap':
-            lapAthlete(athleteNumber);
+            dispatchRaceEvent({ type: 'lapped', athlete: athleteNumber });
             closeAthleteMenu();
             break;
         case 'disqualify':
-            disqualifyAthlete(athleteNumber);
+            dispatchRaceEvent({ type: 'withdrawal', athlete: athleteNumber, status: 'disqualified' });
+            closeAthleteMenu();
+            break;
+        case 'dnf':
+            dispatchRaceEvent({ type: 'withdrawal', athlete: athleteNumber, status: 'dnf' });
+            closeAthleteMenu();
+            break;
+        case 'dns':
+            dispatchRaceEvent({ type: 'withdrawal', athlete: athleteNumber, status: 'dns' });
+            closeAthleteMenu();
+            break;
+        case 'out-of-race':
+            dispatchRaceEvent({ type: 'withdrawal', athlete: athleteNumber, status: 'out_of_race' });
             closeAthleteMenu();
             break;
         case 'unlap':
-            unlapAthlete(athleteNumber);
+            dispatchRaceEvent({ type: 'unlapped', athlete: athleteNumber });
             closeAthleteMenu();
             break;
         case 'reinstate':
-            reinstateAthlete(athleteNumber);
+            dispatchRaceEvent({ type: 'reinstated', athlete: athleteNumber });
             closeAthleteMenu();
             break;
     }
@@ -1004,7 +3581,7 @@ function showModifyPointsSubmenu(athleteNumber) {
         btn.addEventListener('click', (e) => {
             e.stopPropagation();
             const modify = parseInt(modifyValue);
-            modifyAthletePointsFree(athleteNumber, modify);
+            dispatchRaceEvent({ type: 'points_adjustment', athlete: athleteNumber, points: modify });
             closeAthleteMenu();
         });
 
@@ -1019,7 +3596,7 @@ function showModifyPointsSubmenu(athleteNumber) {
 
 function modifyAthletePointsFree(athleteNumber, pointsChange) {
     const athlete = state.athletes.get(athleteNumber);
-    if (!athlete) return;
+    if (!athlete) return false;
 
     const newPoints = Math.max(0, athlete.points + pointsChange);
     athlete.points = newPoints;
@@ -1028,6 +3605,7 @@ function modifyAthletePointsFree(athleteNumber, pointsChange) {
     saveToLocalStorage();
     renderLeaderboard();
     updateLastCheckpointSummary();
+    return true;
 }
 
 function showEditAthleteSubmenu(athleteNumber) {
@@ -1058,6 +3636,10 @@ function showEditAthleteSubmenu(athleteNumber) {
     document.getElementById('editAthleteNumber').value = athlete.number;
     document.getElementById('editAthleteName').value = athlete.name || '';
     document.getElementById('editAthleteSurname').value = athlete.surname || '';
+    ATHLETE_DETAIL_FIELDS.forEach(field => {
+        document.getElementById(field.editInputId).value = athlete[field.key] || '';
+    });
+    document.getElementById('editAthleteSuggestions').classList.add('hidden');
 
     // Clone and replace buttons to remove old listeners
     const btnConfirm = document.getElementById('btnConfirmEditAthlete');
@@ -1114,11 +3696,26 @@ function editAthlete(originalAthleteNumber) {
         return;
     }
 
+    const data = { number: newNumber, name: newName, surname: newSurname };
+    ATHLETE_DETAIL_FIELDS.forEach(field => {
+        data[field.key] = document.getElementById(field.editInputId).value.trim();
+    });
+    dispatchRaceEvent({ type: 'athlete_edit', athlete: originalAthleteNumber, data });
+    closeAthleteMenu();
+}
+
+// Apply validated "Modifica atleta" data, moving every reference when the bib changes
+function updateAthleteData(originalAthleteNumber, data) {
+    const athlete = state.athletes.get(originalAthleteNumber);
+    if (!athlete) return false;
+
+    const newNumber = data.number;
+
     // Update athlete data
     const oldDisplayName = athlete.name || athlete.surname ? ` (${athlete.name || ''} ${athlete.surname || ''})`.trim() : '';
 
-    athlete.name = newName || null;
-    athlete.surname = newSurname || null;
+    athlete.name = data.name || null;
+    athlete.surname = data.surname || null;
 
     const newDisplayName = athlete.name || athlete.surname ? ` (${athlete.name || ''} ${athlete.surname || ''})`.trim() : '';
 
@@ -1147,12 +3744,6 @@ function editAthlete(originalAthleteNumber) {
         });
 
         logAction(`Atleta #${originalAthleteNumber}${oldDisplayName} modificato → #${newNumber}${newDisplayName}`);
-
-        // Update currentMenuAthlete to the new number
-        currentMenuAthlete = newNumber;
-
-        // Update menu header
-        document.getElementById('athleteMenuNumber').textContent = `Atleta #${newNumber}`;
     } else {
         // Only name/surname changed
         if (oldDisplayName !== newDisplayName) {
@@ -1160,72 +3751,354 @@ function editAthlete(originalAthleteNumber) {
         }
     }
 
+    ATHLETE_DETAIL_FIELDS.forEach(field => {
+        const newValue = data[field.key] || '';
+        if (newValue !== athlete[field.key]) {
+            logAction(`Atleta #${athlete.number}: ${field.logLabel} ${athlete[field.key] || '-'} → ${newValue || '-'}`);
+            athlete[field.key] = newValue;
+        }
+    });
+
+    rememberAthlete(athlete);
     saveToLocalStorage();
     renderLeaderboard();
     updateLastCheckpointSummary();
-    closeAthleteMenu();
+    return true;
+}
+
+// Typing in "Modifica atleta" suggests known athletes: the number suggests bibs not yet used in
+// this race and takes the picked one, a name or surname keeps the bib of this race
+function updateEditAthleteSuggestions(query, byNumber = false) {
+    const matches = searchAthleteRegistry(query)
+        .filter(entry => !byNumber || (entry.number !== null && !state.athletes.has(entry.number)));
+    renderRegistrySuggestions(document.getElementById('editAthleteSuggestions'), matches, entry => {
+        if (byNumber) document.getElementById('editAthleteNumber').value = entry.number;
+        document.getElementById('editAthleteName').value = entry.name;
+        document.getElementById('editAthleteSurname').value = entry.surname;
+        ATHLETE_DETAIL_FIELDS.forEach(field => {
+            document.getElementById(field.editInputId).value = entry[field.key];
+        });
+    });
+}
+
+['editAthleteNumber', 'editAthleteName', 'editAthleteSurname'].forEach(id => {
+    const input = document.getElementById(id);
+    input.addEventListener('input', () => updateEditAthleteSuggestions(input.value, id === 'editAthleteNumber'));
+    input.addEventListener('blur', () => document.getElementById('editAthleteSuggestions').classList.add('hidden'));
+});
+
+// Lap gained on the main pack (+1, with bonus) or lost (-1, with penalty)
+function changeAthleteLaps(athleteNumber, lapChange) {
+    const athlete = state.athletes.get(athleteNumber);
+    if (!athlete) return false;
+
+    const pointsChange = lapChange > 0 ? state.config.lapBonus : -state.config.lapPenalty;
+    athlete.lapDelta = (athlete.lapDelta || 0) + lapChange;
+    athlete.points += pointsChange;
+
+    const action = lapChange > 0 ? 'guadagna un giro' : 'perde un giro';
+    const checkpointInfo = state.currentCheckpoint.number > 0 ? ` - Checkpoint ${state.currentCheckpoint.number}` : '';
+    logAction(`Atleta #${athleteNumber} ${action} (${pointsChange >= 0 ? '+' : ''}${pointsChange} punti, giri: ${formatLapDelta(athlete.lapDelta) || '0'})${checkpointInfo}`);
+    saveToLocalStorage();
+    renderLeaderboard();
+    return true;
+}
+
+function formatLapDelta(lapDelta) {
+    if (!lapDelta) return '';
+    return lapDelta > 0 ? `+${lapDelta}` : `${lapDelta}`;
 }
 
 function lapAthlete(athleteNumber) {
     const athlete = state.athletes.get(athleteNumber);
-    if (!athlete) return;
+    if (!athlete) return false;
 
     athlete.savedPoints = athlete.points;
     athlete.points = 0;
     athlete.status = 'lapped';
+    athlete.lappedAt = state.currentCheckpoint.number;
+
+    const checkpointInfo = state.currentCheckpoint.number > 0 ? ` - Checkpoint ${state.currentCheckpoint.number}` : '';
+    logAction(`Atleta #${athleteNumber} doppiato (${formatPoints(athlete.savedPoints)} punti conservati)${checkpointInfo}`);
+    saveToLocalStorage();
+    renderLeaderboard();
+    return true;
+}
+
+function unlapAthlete(athleteNumber) {
+    const athlete = state.athletes.get(athleteNumber);
+    if (!athlete || athlete.status !== 'lapped') return false;
+
+    athlete.points = athlete.savedPoints;
+    athlete.savedPoints = 0;
+    athlete.status = 'normal';
+    athlete.lappedAt = null;
+
+    const checkpointInfo = state.currentCheckpoint.number > 0 ? ` - Checkpoint ${state.currentCheckpoint.number}` : '';
+    logAction(`Atleta #${athleteNumber} sdoppiato (${formatPoints(athlete.points)} punti ripristinati)${checkpointInfo}`);
+    saveToLocalStorage();
+    renderLeaderboard();
+    return true;
+}
+
+// Statuses that take an athlete out of the race; all of them can be reverted with "Riammetti"
+const WITHDRAWAL_STATUSES = {
+    dnf: { label: 'Ritirato', code: 'RIT', icon: '🏳️', logText: 'ritirato' },
+    dns: { label: 'Non partito', code: 'NP', icon: '⛔', logText: 'non partito' },
+    disqualified: { label: 'Squalificato', code: 'SQ', icon: '❌', logText: 'squalificato' },
+    out_of_race: { label: 'Fuori gara', code: 'FG', icon: '🚷', logText: 'fuori gara' }
+};
+
+function isAthleteWithdrawn(athlete) {
+    return Object.prototype.hasOwnProperty.call(WITHDRAWAL_STATUSES, athlete.status);
+}
+
+function withdrawAthlete(athleteNumber, status) {
+    const athlete = state.athletes.get(athleteNumber);
+    if (!athlete) return false;
+
+    // If lapped or already withdrawn, keep the points saved back then
+    if (athlete.status !== 'lapped' && !isAthleteWithdrawn(athlete)) {
+        athlete.savedPoints = athlete.points;
+    }
+
+    athlete.points = 0;
+    athlete.status = status;
+
+    const checkpointInfo = state.currentCheckpoint.number > 0 ? ` - Checkpoint ${state.currentCheckpoint.number}` : '';
+    logAction(`Atleta #${athleteNumber} ${WITHDRAWAL_STATUSES[status].logText} (${formatPoints(athlete.savedPoints)} punti conservati)${checkpointInfo}`);
+    saveToLocalStorage();
+    renderLeaderboard();
+    return true;
+}
+
+function reinstateAthlete(athleteNumber) {
+    const athlete = state.athletes.get(athleteNumber);
+    if (!athlete || !isAthleteWithdrawn(athlete)) return false;
+
+    athlete.points = athlete.savedPoints;
+    athlete.savedPoints = 0;
+    // An athlete eliminated before the withdrawal goes back to the eliminated group
+    athlete.status = athlete.eliminatedAt ? 'eliminated' : 'normal';
+    athlete.lappedAt = null;
 
     const checkpointInfo = state.currentCheckpoint.number > 0 ? ` - Checkpoint ${state.currentCheckpoint.number}` : '';
-    logAction(`Atleta #${athleteNumber} doppiato (${athlete.savedPoints} punti conservati)${checkpointInfo}`);
+    logAction(`Atleta #${athleteNumber} riabilitato (${formatPoints(athlete.points)} punti ripristinati)${checkpointInfo}`);
+    saveToLocalStorage();
+    renderLeaderboard();
+    return true;
+}
+
+// ========== SANCTIONS ==========
+const SANCTION_TYPES = {
+    warning: { label: 'Ammonizione', icon: '⚠️' },
+    yellow_card: { label: 'Cartellino giallo', icon: '🟨' },
+    deduction: { label: 'Penalità', icon: '➖' },
+    disqualification: { label: 'Squalifica', icon: '❌' }
+};
+
+// Lapped and withdrawn athletes keep their points aside until they are back in the race
+function adjustAthletePoints(athlete, pointsChange) {
+    if (athlete.status === 'lapped' || isAthleteWithdrawn(athlete)) {
+        athlete.savedPoints += pointsChange;
+    } else {
+        athlete.points += pointsChange;
+    }
+}
+
+function formatSanction(sanction) {
+    const info = SANCTION_TYPES[sanction.type];
+    const parts = [sanction.type === 'deduction' ? `${info.label} -${sanction.points}pt` : info.label];
+    if (sanction.checkpoint > 0) parts.push(`T${sanction.checkpoint}`);
+    if (sanction.article) parts.push(`art. ${sanction.article}`);
+    if (sanction.reason) parts.push(sanction.reason);
+    return parts.join(' - ');
+}
+
+function addSanction(athleteNumber, type, points = 0, article = '', reason = '') {
+    const athlete = state.athletes.get(athleteNumber);
+    if (!athlete) return false;
+
+    if (type === 'deduction' && (!points || points < 1)) {
+        alert('❌ Inserisci i punti da togliere (minimo 1)');
+        return false;
+    }
+
+    const sanction = {
+        type,
+        points: type === 'deduction' ? points : 0,
+        article,
+        reason,
+        checkpoint: state.currentCheckpoint.number,
+        revoked: false,
+        escalatedTo: null // Warnings: index of the sanction they escalated to
+    };
+    athlete.sanctions.push(sanction);
+
+    // Unlike a free points change, a deduction is not clamped at zero: the total may go negative,
+    // so revoking it, or correcting an earlier checkpoint, always restores the exact sum
+    if (type === 'deduction') {
+        adjustAthletePoints(athlete, -points);
+    }
+
+    logAction(`Sanzione a #${athleteNumber}: ${formatSanction(sanction)}`);
+
+    if (type === 'disqualification' && !isAthleteWithdrawn(athlete)) {
+        withdrawAthlete(athleteNumber, 'disqualified');
+    }
+    if (type === 'warning') {
+        escalateWarnings(athlete);
+    }
+
     saveToLocalStorage();
     renderLeaderboard();
+    return true;
+}
+
+// Once enough warnings pile up they turn into the sanction set in the configuration
+function escalateWarnings(athlete) {
+    const rules = state.config.sanctionRules;
+    const pending = athlete.sanctions.filter(s => s.type === 'warning' && !s.revoked && s.escalatedTo === null);
+    if (pending.length < rules.warningLimit) return;
+
+    // Races without points cannot take a deduction
+    const type = rules.escalation === 'deduction' && !raceAwardsPoints() ? 'yellow_card' : rules.escalation;
+    pending.forEach(warning => {
+        warning.escalatedTo = athlete.sanctions.length;
+    });
+    addSanction(athlete.number, type, rules.escalationPoints, '', `${pending.length} ammonizioni`);
 }
 
-function unlapAthlete(athleteNumber) {
+function revokeSanction(athleteNumber, index) {
     const athlete = state.athletes.get(athleteNumber);
-    if (!athlete || athlete.status !== 'lapped') return;
+    const sanction = athlete && athlete.sanctions[index];
+    if (!sanction || sanction.revoked) return false;
 
-    athlete.points = athlete.savedPoints;
-    athlete.savedPoints = 0;
-    athlete.status = 'normal';
+    sanction.revoked = true;
+    if (sanction.type === 'deduction') {
+        adjustAthletePoints(athlete, sanction.points);
+    }
+
+    logAction(`Sanzione annullata a #${athleteNumber}: ${formatSanction(sanction)}`);
+
+    if (sanction.type === 'disqualification' && athlete.status === 'disqualified') {
+        reinstateAthlete(athleteNumber);
+    }
+
+    // A revoked warning takes back the sanction it escalated to; the other warnings count again
+    if (sanction.type === 'warning' && sanction.escalatedTo !== null) {
+        const escalatedTo = sanction.escalatedTo;
+        athlete.sanctions.forEach(s => {
+            if (s.escalatedTo === escalatedTo) s.escalatedTo = null;
+        });
+        revokeSanction(athleteNumber, escalatedTo);
+    }
+
+    // Revoked on its own, an escalated sanction releases its warnings by annulling them with it,
+    // so they cannot add up towards the next escalation
+    const linkedWarnings = athlete.sanctions.filter(s => s.type === 'warning' && s.escalatedTo === index);
+    if (linkedWarnings.length > 0) {
+        linkedWarnings.forEach(warning => {
+            warning.escalatedTo = null;
+            warning.revoked = true;
+        });
+        logAction(`Annullate a #${athleteNumber} le ${linkedWarnings.length} ammonizioni della sanzione revocata`);
+    }
 
-    const checkpointInfo = state.currentCheckpoint.number > 0 ? ` - Checkpoint ${state.currentCheckpoint.number}` : '';
-    logAction(`Atleta #${athleteNumber} sdoppiato (${athlete.points} punti ripristinati)${checkpointInfo}`);
     saveToLocalStorage();
     renderLeaderboard();
+    return true;
 }
 
-function disqualifyAthlete(athleteNumber) {
+function showSanctionsSubmenu(athleteNumber) {
     const athlete = state.athletes.get(athleteNumber);
     if (!athlete) return;
 
-    // If lapped, save those points instead
-    if (athlete.status === 'lapped') {
-        athlete.savedPoints = athlete.savedPoints; // Keep saved points from lapping
-    } else {
-        athlete.savedPoints = athlete.points;
+    // Remove any existing dynamic submenu (but keep the static sections)
+    const existingSubmenu = athleteMenu.querySelector('.submenu:not(#menuAssignPointsSection):not(#menuEditAthleteSubmenu)');
+    if (existingSubmenu) {
+        existingSubmenu.remove();
     }
 
-    athlete.points = 0;
-    athlete.status = 'disqualified';
+    const assignPointsSection = document.getElementById('menuAssignPointsSection');
+    assignPointsSection.classList.add('hidden');
+    document.getElementById('menuEditAthleteSubmenu').classList.add('hidden');
 
-    const checkpointInfo = state.currentCheckpoint.number > 0 ? ` - Checkpoint ${state.currentCheckpoint.number}` : '';
-    logAction(`Atleta #${athleteNumber} squalificato (${athlete.savedPoints} punti conservati)${checkpointInfo}`);
-    saveToLocalStorage();
-    renderLeaderboard();
-}
+    const submenu = document.createElement('div');
+    submenu.className = 'submenu';
 
-function reinstateAthlete(athleteNumber) {
-    const athlete = state.athletes.get(athleteNumber);
-    if (!athlete || athlete.status !== 'disqualified') return;
+    const typeOptions = Object.keys(SANCTION_TYPES)
+        .filter(type => type !== 'disqualification' && (type !== 'deduction' || raceAwardsPoints()))
+        .map(type => `<option value="${type}">${SANCTION_TYPES[type].icon} ${SANCTION_TYPES[type].label}</option>`)
+        .join('');
+
+    const sanctionRows = athlete.sanctions.map((sanction, index) => `
+        <div class="sanction-row${sanction.revoked ? ' sanction-revoked' : ''}">
+            <span>${SANCTION_TYPES[sanction.type].icon} ${escapeHtml(formatSanction(sanction))}</span>
+            ${sanction.revoked ? '' : `<button type="button" class="submenu-btn submenu-btn-cancel sanction-revoke" data-index="${index}">Revoca</button>`}
+        </div>
+    `).join('');
+
+    submenu.innerHTML = `
+        <div class="submenu-title">Sanzioni</div>
+        <div class="sanction-list">${sanctionRows || '<div class="sanction-row">Nessuna sanzione</div>'}</div>
+        <div class="submenu-inputs">
+            <select class="submenu-input" id="sanctionType">${typeOptions}</select>
+            <input type="number" class="submenu-input hidden" id="sanctionPoints" placeholder="Punti" min="1">
+        </div>
+        <div class="submenu-inputs">
+            <input type="text" class="submenu-input" id="sanctionArticle" placeholder="Articolo">
+            <input type="text" class="submenu-input" id="sanctionReason" placeholder="Motivazione">
+        </div>
+        <div class="submenu-buttons-edit-athlete">
+            <button type="button" class="submenu-btn submenu-btn-cancel" id="btnCancelSanction">Annulla</button>
+            <button type="button" class="submenu-btn submenu-btn-confirm" id="btnConfirmSanction">Applica</button>
+        </div>
+    `;
 
-    athlete.points = athlete.savedPoints;
-    athlete.savedPoints = 0;
-    athlete.status = 'normal';
+    const typeSelect = submenu.querySelector('#sanctionType');
+    const pointsInput = submenu.querySelector('#sanctionPoints');
+    typeSelect.addEventListener('change', () => {
+        pointsInput.classList.toggle('hidden', typeSelect.value !== 'deduction');
+    });
 
-    const checkpointInfo = state.currentCheckpoint.number > 0 ? ` - Checkpoint ${state.currentCheckpoint.number}` : '';
-    logAction(`Atleta #${athleteNumber} riabilitato (${athlete.points} punti ripristinati)${checkpointInfo}`);
-    saveToLocalStorage();
-    renderLeaderboard();
+    submenu.querySelectorAll('.sanction-revoke').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const sanction = athlete.sanctions[parseInt(btn.dataset.index)];
+            closeAthleteMenu();
+            showDialog(
+                '↩️',
+                'Annullare la sanzione?',
+                `${formatSanction(sanction)} all'atleta #${athlete.number} verrà annullata.`,
+                () => dispatchRaceEvent({
+                    type: 'sanction_revoke',
+                    athlete: athlete.number,
+                    index: athlete.sanctions.indexOf(sanction)
+                })
+            );
+        });
+    });
+
+    submenu.querySelector('#btnCancelSanction').addEventListener('click', (e) => {
+        e.stopPropagation();
+        closeAthleteMenu();
+    });
+
+    submenu.querySelector('#btnConfirmSanction').addEventListener('click', (e) => {
+        e.stopPropagation();
+        const added = dispatchRaceEvent({
+            type: 'sanction',
+            athlete: athleteNumber,
+            sanction: typeSelect.value,
+            points: parseInt(pointsInput.value) || 0,
+            article: submenu.querySelector('#sanctionArticle').value.trim(),
+            reason: submenu.querySelector('#sanctionReason').value.trim()
+        });
+        if (added) closeAthleteMenu();
+    });
+
+    athleteMenu.insertBefore(submenu, assignPointsSection);
 }
 
 // Close menu when clicking outside (using mousedown to handle text selection properly)
@@ -1237,13 +4110,111 @@ document.addEventListener('mousedown', (e) => {
     closeAthleteMenu();
 });
 
+// ========== ATHLETE REGISTRY ==========
+// Every athlete seen (imported or typed) is remembered across races to speed up data entry
+const REGISTRY_SUGGESTIONS_LIMIT = 6;
+
+let athleteRegistry = loadAthleteRegistry(); // [{ number, name, surname, club, category, licence }]
+
+function saveAthleteRegistry() {
+    try {
+        localStorage.setItem('athleteRegistry', JSON.stringify(athleteRegistry));
+    } catch (error) {
+        console.error('Errore nel salvataggio dell\'anagrafica atleti:', error);
+    }
+}
+
+function loadAthleteRegistry() {
+    try {
+        const saved = localStorage.getItem('athleteRegistry');
+        if (saved) return JSON.parse(saved);
+    } catch (error) {
+        console.error('Errore nel caricamento dell\'anagrafica atleti:', error);
+    }
+    return [];
+}
+
+// The licence identifies an athlete; without it we fall back to name and surname
+function isSameRegistryAthlete(entry, data) {
+    if (entry.licence && data.licence) return entry.licence === data.licence;
+    return (entry.name || '').toLowerCase() === (data.name || '').toLowerCase()
+        && (entry.surname || '').toLowerCase() === (data.surname || '').toLowerCase();
+}
+
+function findRegistryEntry(data) {
+    if (!data.name && !data.surname && !data.licence) return null;
+    return athleteRegistry.find(entry => isSameRegistryAthlete(entry, data)) || null;
+}
+
+// Adds the athletes or refreshes the known ones with the latest non-empty values
+function rememberAthletes(list) {
+    list.forEach(data => {
+        if (!data.name && !data.surname) return;
+
+        let entry = findRegistryEntry(data);
+        if (!entry) {
+            entry = { number: null, name: '', surname: '', club: '', category: '', licence: '' };
+            athleteRegistry.push(entry);
+        }
+        ['name', 'surname', 'club', 'category', 'licence'].forEach(field => {
+            if (data[field]) entry[field] = data[field];
+        });
+        if (data.number) entry.number = data.number;
+    });
+    saveAthleteRegistry();
+}
+
+function rememberAthlete(data) {
+    rememberAthletes([data]);
+}
+
+// Digits match the start of the bib, anything else the name or surname
+function searchAthleteRegistry(query) {
+    const text = query.trim().toLowerCase();
+    if (text === '') return [];
+
+    const isNumber = /^\d+$/.test(text);
+    return athleteRegistry
+        .filter(entry => isNumber
+            ? entry.number !== null && String(entry.number).startsWith(text)
+            : `${entry.name} ${entry.surname}`.toLowerCase().includes(text)
+                || `${entry.surname} ${entry.name}`.toLowerCase().includes(text))
+        .slice(0, REGISTRY_SUGGESTIONS_LIMIT);
+}
+
+function renderRegistrySuggestions(container, matches, onPick) {
+    container.innerHTML = '';
+    container.classList.toggle('hidden', matches.length === 0);
+
+    matches.forEach(entry => {
+        const item = document.createElement('button');
+        item.type = 'button';
+        item.className = 'registry-suggestion';
+        const details = [entry.category, entry.club].filter(Boolean).join(' · ');
+        item.innerHTML = `
+            <span class="registry-suggestion-number">${entry.number !== null ? `#${entry.number}` : ''}</span>
+            <span class="registry-suggestion-name">${escapeHtml(`${entry.surname} ${entry.name}`.trim())}</span>
+            <span class="registry-suggestion-details">${escapeHtml(details)}</span>
+        `;
+        // mousedown keeps the focus on the input, which would otherwise hide the list first
+        item.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            container.classList.add('hidden');
+            onPick(entry);
+        });
+        container.appendChild(item);
+    });
+}
+
 // ========== KEYBOARD OVERLAY ==========
 const keyboardOverlay = document.getElementById('keyboardOverlay');
 const keyboardPointsGrid = document.getElementById('keyboardPointsGrid');
+const keyboardPointsTitle = document.getElementById('keyboardPointsTitle');
 const btnCloseKeyboard = document.getElementById('btnCloseKeyboard');
 const inputAthleteNumber = document.getElementById('inputAthleteNumber');
 const inputAthleteName = document.getElementById('inputAthleteName');
 const inputAthleteSurname = document.getElementById('inputAthleteSurname');
+const keyboardSuggestions = document.getElementById('keyboardSuggestions');
 
 function openKeyboard() {
     keyboardOverlay.classList.remove('hidden');
@@ -1256,6 +4227,7 @@ function openKeyboard() {
 
 function closeKeyboard() {
     keyboardOverlay.classList.add('hidden');
+    pendingDeadHeat = [];
     clearKeyboardInputs();
 }
 
@@ -1265,6 +4237,27 @@ function clearKeyboardInputs() {
     inputAthleteSurname.value = '';
     inputAthleteName.disabled = false;
     inputAthleteSurname.disabled = false;
+    keyboardSuggestions.classList.add('hidden');
+}
+
+// The number suggests bibs of athletes not yet in this race, name and surname suggest by text
+function updateKeyboardSuggestions(query) {
+    const matches = searchAthleteRegistry(query)
+        .filter(entry => entry.number === null || !state.athletes.has(entry.number));
+    renderRegistrySuggestions(keyboardSuggestions, matches, pickKeyboardSuggestion);
+}
+
+function pickKeyboardSuggestion(entry) {
+    if (entry.number !== null) {
+        inputAthleteNumber.value = entry.number;
+        autoFillAthleteData();
+    }
+    if (!inputAthleteName.disabled) {
+        inputAthleteName.value = entry.name;
+        inputAthleteSurname.value = entry.surname;
+    }
+    updateKeyboardPointsButtons();
+    inputAthleteNumber.focus();
 }
 
 function setKeyboardKeysEnabled(enabled) {
@@ -1278,6 +4271,8 @@ inputAthleteName.addEventListener('focus', () => setKeyboardKeysEnabled(false));
 inputAthleteSurname.addEventListener('focus', () => setKeyboardKeysEnabled(false));
 inputAthleteName.addEventListener('blur', () => setKeyboardKeysEnabled(true));
 inputAthleteSurname.addEventListener('blur', () => setKeyboardKeysEnabled(true));
+inputAthleteName.addEventListener('input', () => updateKeyboardSuggestions(inputAthleteName.value));
+inputAthleteSurname.addEventListener('input', () => updateKeyboardSuggestions(inputAthleteSurname.value));
 
 function autoFillAthleteData() {
     const numberValue = inputAthleteNumber.value.trim();
@@ -1308,23 +4303,14 @@ function autoFillAthleteData() {
 }
 
 function updateKeyboardPoints() {
-    const points = state.currentCheckpoint.availablePoints;
+    keyboardPointsTitle.textContent = getCheckpointButtonsTitle();
 
-    // Get button elements
-    const btnPoints3 = document.getElementById('btnPoints3');
-    const btnPoints2 = document.getElementById('btnPoints2');
-    const btnPoints1 = document.getElementById('btnPoints1');
+    // Rebuild buttons from the checkpoint type (also drops old listeners)
+    renderPointsButtons(keyboardPointsGrid, 'keyboard-points-btn');
 
     // Enable/disable buttons based on available points
-    btnPoints3.disabled = !points.includes(3);
-    btnPoints2.disabled = !points.includes(2);
-    btnPoints1.disabled = !points.includes(1);
-
-    // Add event listeners
     keyboardPointsGrid.querySelectorAll('.keyboard-points-btn').forEach(btn => {
-        // Remove old listeners by cloning
-        const newBtn = btn.cloneNode(true);
-        btn.parentNode.replaceChild(newBtn, btn);
+        btn.disabled = !isCheckpointButtonAvailable(btn);
     });
 
     keyboardPointsGrid.querySelectorAll('.keyboard-points-btn').forEach(btn => {
@@ -1340,9 +4326,8 @@ function updateKeyboardPoints() {
             const athleteNumInt = parseInt(athleteNumber);
             const name = inputAthleteName.value.trim();
             const surname = inputAthleteSurname.value.trim();
-            const points = parseInt(btn.dataset.points);
 
-            if (assignPointsToAthlete(athleteNumInt, points, name, surname)) {
+            if (applyCheckpointButton(btn, athleteNumInt, name, surname)) {
                 clearKeyboardInputs();
                 inputAthleteNumber.focus();
             }
@@ -1383,173 +4368,699 @@ inputAthleteNumber.addEventListener('input', (e) => {
         inputAthleteName.disabled = false;
         inputAthleteSurname.disabled = false;
     }
-});
+    updateKeyboardSuggestions(e.target.value);
+});
+
+inputAthleteNumber.addEventListener('keypress', (e) => {
+    // Prevent typing non-numeric characters
+    if (!/[0-9]/.test(e.key) && e.key !== 'Enter' && e.key !== 'Backspace' && e.key !== 'Delete' && e.key !== 'Tab') {
+        e.preventDefault();
+    }
+});
+
+// Update button states when number changes
+function updateKeyboardPointsButtons() {
+    const hasNumber = inputAthleteNumber.value.trim() !== '';
+    const athleteNumber = parseInt(inputAthleteNumber.value);
+
+    // Disable if no number OR if points not available
+    keyboardPointsGrid.querySelectorAll('.keyboard-points-btn').forEach(btn => {
+        btn.disabled = !hasNumber || !isCheckpointButtonAvailable(btn, athleteNumber);
+    });
+}
+
+// Keyboard key handling - updates number input
+document.querySelectorAll('.keyboard-key').forEach(key => {
+    key.addEventListener('click', () => {
+        const value = key.dataset.key;
+
+        if (value === 'C') {
+            inputAthleteNumber.value = '';
+        } else if (value === 'backspace') {
+            inputAthleteNumber.value = inputAthleteNumber.value.slice(0, -1);
+        } else {
+            inputAthleteNumber.value += value;
+        }
+
+        autoFillAthleteData();
+        updateKeyboardPointsButtons();
+        updateKeyboardSuggestions(inputAthleteNumber.value);
+        inputAthleteNumber.focus();
+    });
+});
+
+// ========== DIALOG SYSTEM ==========
+const dialogOverlay = document.getElementById('dialogOverlay');
+const dialogIcon = document.getElementById('dialogIcon');
+const dialogTitle = document.getElementById('dialogTitle');
+const dialogMessage = document.getElementById('dialogMessage');
+const dialogInput = document.getElementById('dialogInput');
+const dialogCancel = document.getElementById('dialogCancel');
+const dialogConfirm = document.getElementById('dialogConfirm');
+let dialogCallback = null;
+
+// With an input placeholder the dialog also asks for a text, passed to onConfirm
+function showDialog(icon, title, message, onConfirm, inputPlaceholder = null) {
+    dialogIcon.textContent = icon;
+    dialogTitle.textContent = title;
+    dialogMessage.textContent = message;
+    dialogCallback = onConfirm;
+    dialogInput.value = '';
+    dialogInput.placeholder = inputPlaceholder || '';
+    dialogInput.classList.toggle('hidden', inputPlaceholder === null);
+    dialogOverlay.classList.remove('hidden');
+    if (inputPlaceholder !== null) {
+        setTimeout(() => dialogInput.focus(), 100);
+    }
+}
+
+function closeDialog() {
+    dialogOverlay.classList.add('hidden');
+    dialogCallback = null;
+}
+
+dialogCancel.addEventListener('click', closeDialog);
+dialogConfirm.addEventListener('click', () => {
+    // Closing first lets the callback open a follow-up dialog
+    const callback = dialogCallback;
+    const inputValue = dialogInput.value.trim();
+    closeDialog();
+    if (typeof callback === 'function') {
+        callback(inputValue);
+    }
+});
+
+// ========== CHAMPIONSHIP ==========
+// Kept apart from the race state so it survives "Riavvia Gara"
+const championshipOverlay = document.getElementById('championshipOverlay');
+const championshipNameInput = document.getElementById('championshipName');
+const championshipPointsTableInput = document.getElementById('championshipPointsTable');
+const championshipTiebreakButtons = document.querySelectorAll('.toggle-btn[data-championship-tiebreak]');
+const championshipRounds = document.getElementById('championshipRounds');
+const championshipStanding = document.getElementById('championshipStanding');
+const btnAddChampionshipRound = document.getElementById('btnAddChampionshipRound');
+
+const CHAMPIONSHIP_TIEBREAK_LABELS = {
+    countback: 'migliori piazzamenti',
+    last_round: 'ultima prova'
+};
+
+function defaultChampionship() {
+    return {
+        name: '',
+        pointsTable: [25, 20, 16, 13, 11, 10, 9, 8, 7, 6, 5, 4, 3, 2, 1], // Points by finishing position
+        tiebreak: 'countback', // 'countback' (more wins, then seconds, ...) or 'last_round' (better in the latest round)
+        rounds: [] // [{ name, raceType, date, results: [{ number, name, surname, position }] }]
+    };
+}
+
+let championship = loadChampionship();
+
+function saveChampionship() {
+    try {
+        localStorage.setItem('championship', JSON.stringify(championship));
+    } catch (error) {
+        console.error('Errore nel salvataggio del campionato:', error);
+    }
+}
+
+function loadChampionship() {
+    try {
+        const saved = localStorage.getItem('championship');
+        if (saved) return JSON.parse(saved);
+    } catch (error) {
+        console.error('Errore nel caricamento del campionato:', error);
+    }
+    return defaultChampionship();
+}
+
+function getChampionshipPoints(position) {
+    return position ? (championship.pointsTable[position - 1] || 0) : 0;
+}
+
+// Add the ended race as a round; withdrawn athletes take part without a position
+function addRaceToChampionship(roundName) {
+    let position = 0;
+    const results = getSortedAthletes().map(athlete => ({
+        number: athlete.number,
+        name: athlete.name,
+        surname: athlete.surname,
+        position: isAthleteWithdrawn(athlete) ? null : ++position
+    }));
+
+    const heat = getCurrentHeat();
+    const defaultName = `Prova ${championship.rounds.length + 1}${heat ? ` - ${heat.name}` : ''}`;
+    championship.rounds.push({
+        name: roundName || defaultName,
+        raceType: state.config.raceType,
+        date: new Date().toLocaleDateString('it-IT', { day: '2-digit', month: '2-digit', year: 'numeric' }),
+        results
+    });
+    state.addedToChampionship = true;
+
+    logAction(`Gara aggiunta al campionato come "${roundName || defaultName}"`);
+    saveChampionship();
+    saveToLocalStorage();
+    renderChampionship();
+}
+
+function removeChampionshipRound(index) {
+    championship.rounds.splice(index, 1);
+    saveChampionship();
+    renderChampionship();
+}
+
+// One entry per athlete with the points of every round (null when absent)
+function getChampionshipStanding() {
+    const entries = new Map();
+    championship.rounds.forEach((round, roundIndex) => {
+        round.results.forEach(result => {
+            if (!entries.has(result.number)) {
+                entries.set(result.number, {
+                    number: result.number,
+                    name: result.name,
+                    surname: result.surname,
+                    total: 0,
+                    positions: new Array(championship.rounds.length).fill(null),
+                    roundPoints: new Array(championship.rounds.length).fill(null)
+                });
+            }
+            const entry = entries.get(result.number);
+            const points = getChampionshipPoints(result.position);
+            entry.name = entry.name || result.name;
+            entry.surname = entry.surname || result.surname;
+            entry.positions[roundIndex] = result.position;
+            entry.roundPoints[roundIndex] = points;
+            entry.total += points;
+        });
+    });
+    return Array.from(entries.values()).sort(compareChampionshipEntries);
+}
+
+function compareChampionshipEntries(a, b) {
+    if (b.total !== a.total) return b.total - a.total;
+
+    if (championship.tiebreak === 'last_round') {
+        // Better position in the latest round either athlete took part in
+        for (let i = championship.rounds.length - 1; i >= 0; i--) {
+            const aPosition = a.positions[i] || Infinity;
+            const bPosition = b.positions[i] || Infinity;
+            if (aPosition !== bPosition) return aPosition - bPosition;
+        }
+    } else {
+        // Countback: more wins first, then more second places, and so on
+        const maxPosition = Math.max(0, ...a.positions, ...b.positions);
+        for (let position = 1; position <= maxPosition; position++) {
+            const aCount = a.positions.filter(p => p === position).length;
+            const bCount = b.positions.filter(p => p === position).length;
+            if (aCount !== bCount) return bCount - aCount;
+        }
+    }
+
+    return a.number - b.number;
+}
+
+function renderChampionship() {
+    championshipNameInput.value = championship.name;
+    championshipPointsTableInput.value = formatPointsScale(championship.pointsTable);
+    championshipTiebreakButtons.forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.championshipTiebreak === championship.tiebreak);
+    });
+    // An archived race opened read-only never saves its flag, so it could be added again and again
+    btnAddChampionshipRound.disabled = !state.raceEnded || state.addedToChampionship || viewingArchive;
+
+    championshipRounds.innerHTML = championship.rounds.length === 0
+        ? '<p class="championship-empty">Nessuna prova: termina una gara e aggiungila al campionato.</p>'
+        : `<ul class="last-checkpoint-summary-list">${championship.rounds.map((round, i) => `
+            <li class="last-checkpoint-summary-item championship-round">
+                <span>${escapeHtml(round.name)} • ${RACE_TYPE_LABELS[round.raceType]} • ${round.date}</span>
+                <button type="button" class="submenu-btn submenu-btn-cancel" data-round="${i}">Rimuovi</button>
+            </li>`).join('')}</ul>`;
+
+    championshipRounds.querySelectorAll('[data-round]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const round = championship.rounds[parseInt(btn.dataset.round)];
+            showDialog('🗑️', 'Rimuovere la prova?', `"${round.name}" verrà tolta dal campionato.`, () => {
+                removeChampionshipRound(championship.rounds.indexOf(round));
+            });
+        });
+    });
+
+    const standing = getChampionshipStanding();
+    championshipStanding.innerHTML = standing.length === 0 ? '' : `
+        <table class="leaderboard-table">
+            <thead>
+                <tr>
+                    <th>Pos.</th>
+                    <th>Numero</th>
+                    <th>Atleta</th>
+                    ${championship.rounds.map((_, i) => `<th>P${i + 1}</th>`).join('')}
+                    <th>Punti</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${standing.map((entry, index) => `
+                    <tr>
+                        <td>${index + 1}</td>
+                        <td><span class="athlete-number">#${entry.number}</span></td>
+                        <td>${escapeHtml(`${entry.surname || ''} ${entry.name || ''}`)}</td>
+                        ${entry.roundPoints.map(points => `<td>${points === null ? '-' : points}</td>`).join('')}
+                        <td><span class="athlete-points">${entry.total}</span></td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+function openChampionship() {
+    renderChampionship();
+    championshipOverlay.classList.remove('hidden');
+}
+
+function closeChampionship() {
+    championshipOverlay.classList.add('hidden');
+}
+
+document.querySelectorAll('[data-open-championship]').forEach(btn => {
+    btn.addEventListener('click', openChampionship);
+});
+document.getElementById('btnCloseChampionship').addEventListener('click', closeChampionship);
+
+championshipNameInput.addEventListener('change', () => {
+    championship.name = championshipNameInput.value.trim();
+    saveChampionship();
+});
+
+championshipPointsTableInput.addEventListener('change', () => {
+    const pointsTable = parsePointsScale(championshipPointsTableInput.value);
+    if (!pointsTable) {
+        alert('❌ Inserisci punteggi validi: numeri positivi in ordine decrescente (es: 25-20-16-13)');
+    } else {
+        championship.pointsTable = pointsTable;
+        saveChampionship();
+    }
+    renderChampionship();
+});
+
+championshipTiebreakButtons.forEach(btn => {
+    btn.addEventListener('click', () => {
+        championship.tiebreak = btn.dataset.championshipTiebreak;
+        saveChampionship();
+        renderChampionship();
+    });
+});
+
+btnAddChampionshipRound.addEventListener('click', () => {
+    showDialog('🏆', 'Aggiungere la gara al campionato?', 'Nome della prova (facoltativo):', addRaceToChampionship, 'Es: Prova 1 - Roma');
+});
+
+document.getElementById('btnExportChampionship').addEventListener('click', exportChampionshipToPDF);
+
+document.getElementById('btnClearChampionship').addEventListener('click', () => {
+    showDialog('🗑️', 'Eliminare il campionato?', 'Tutte le prove e la classifica del campionato verranno cancellate.', () => {
+        championship = defaultChampionship();
+        saveChampionship();
+        renderChampionship();
+    });
+});
+
+// ========== RACE ARCHIVE ==========
+// Every ended race is kept in IndexedDB and can be reopened read-only
+const ARCHIVE_DB_NAME = 'garaPuntiArchive';
+const ARCHIVE_STORE = 'races';
+const archiveOverlay = document.getElementById('archiveOverlay');
+const archiveSearchInput = document.getElementById('archiveSearch');
+const archiveList = document.getElementById('archiveList');
+let archiveLiveState = null; // Race in progress while an archived one is open
+let archiveLiveScreen = null;
+
+function openArchiveDb() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(ARCHIVE_DB_NAME, 1);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(ARCHIVE_STORE, { keyPath: 'id', autoIncrement: true });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Run one request on the races store and resolve with its result
+async function runArchiveRequest(mode, makeRequest) {
+    const db = await openArchiveDb();
+    try {
+        return await new Promise((resolve, reject) => {
+            const request = makeRequest(db.transaction(ARCHIVE_STORE, mode).objectStore(ARCHIVE_STORE));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    } finally {
+        db.close();
+    }
+}
+
+function getRaceTitle() {
+    const heat = getCurrentHeat();
+    return heat ? `${getRaceTypeLabel()} - ${heat.name}` : getRaceTypeLabel();
+}
+
+async function archiveRace() {
+    const ranking = getSortedAthletes();
+    const record = {
+        ...serializeState(),
+        endedAt: new Date().toISOString(),
+        title: getRaceTitle(),
+        podium: ranking.slice(0, 3).map(a => `#${a.number} ${a.surname || ''} ${a.name || ''}`.trim()),
+        // Searched by title, athlete numbers, names and categories
+        searchText: [getRaceTitle(), ...ranking.map(a => `#${a.number} ${a.name || ''} ${a.surname || ''} ${a.category || ''}`)]
+            .join(' ')
+            .toLowerCase()
+    };
+
+    try {
+        await runArchiveRequest('readwrite', store => store.add(JSON.parse(JSON.stringify(record))));
+    } catch (error) {
+        console.error('Errore nel salvataggio in archivio:', error);
+    }
+}
 
-inputAthleteNumber.addEventListener('keypress', (e) => {
-    // Prevent typing non-numeric characters
-    if (!/[0-9]/.test(e.key) && e.key !== 'Enter' && e.key !== 'Backspace' && e.key !== 'Delete' && e.key !== 'Tab') {
-        e.preventDefault();
+async function getArchivedRaces() {
+    const races = await runArchiveRequest('readonly', store => store.getAll());
+    return races.sort((a, b) => b.endedAt.localeCompare(a.endedAt));
+}
+
+function formatArchiveDate(isoDate) {
+    const date = new Date(isoDate);
+    return `${date.toLocaleDateString('it-IT', { day: '2-digit', month: '2-digit', year: 'numeric' })} ${date.toLocaleTimeString('it-IT', { hour: '2-digit', minute: '2-digit' })}`;
+}
+
+async function renderArchive() {
+    let races;
+    try {
+        races = await getArchivedRaces();
+    } catch (error) {
+        console.error('Errore nel caricamento dell\'archivio:', error);
+        archiveList.innerHTML = '<p class="championship-empty">Archivio non disponibile in questo browser.</p>';
+        return;
     }
-});
 
-// Update button states when number changes
-function updateKeyboardPointsButtons() {
-    const hasNumber = inputAthleteNumber.value.trim() !== '';
-    const points = state.currentCheckpoint.availablePoints;
+    const query = archiveSearchInput.value.trim().toLowerCase();
+    const matching = races.filter(race => !query ||
+        race.searchText.includes(query) || formatArchiveDate(race.endedAt).includes(query));
 
-    const btnPoints3 = document.getElementById('btnPoints3');
-    const btnPoints2 = document.getElementById('btnPoints2');
-    const btnPoints1 = document.getElementById('btnPoints1');
+    if (matching.length === 0) {
+        archiveList.innerHTML = `<p class="championship-empty">${races.length === 0 ? 'Nessuna gara archiviata.' : 'Nessuna gara trovata.'}</p>`;
+        return;
+    }
 
-    // Disable if no number OR if points not available
-    btnPoints3.disabled = !hasNumber || !points.includes(3);
-    btnPoints2.disabled = !hasNumber || !points.includes(2);
-    btnPoints1.disabled = !hasNumber || !points.includes(1);
+    archiveList.innerHTML = `<ul class="last-checkpoint-summary-list">${matching.map(race => `
+        <li class="last-checkpoint-summary-item archive-item">
+            <span>
+                <strong>${formatArchiveDate(race.endedAt)} • ${escapeHtml(race.title)}</strong><br>
+                ${escapeHtml(race.podium.join(', ')) || 'Nessun atleta'}
+            </span>
+            <span class="archive-item-actions">
+                <button type="button" class="submenu-btn" data-archive-open="${race.id}">Apri</button>
+                <button type="button" class="submenu-btn" data-archive-pdf="${race.id}">PDF</button>
+            </span>
+        </li>`).join('')}</ul>`;
+
+    archiveList.querySelectorAll('[data-archive-open]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            openArchivedRace(matching.find(race => race.id === parseInt(btn.dataset.archiveOpen)));
+        });
+    });
+    archiveList.querySelectorAll('[data-archive-pdf]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            exportArchivedRaceToPDF(matching.find(race => race.id === parseInt(btn.dataset.archivePdf)));
+        });
+    });
 }
 
-// Keyboard key handling - updates number input
-document.querySelectorAll('.keyboard-key').forEach(key => {
-    key.addEventListener('click', () => {
-        const value = key.dataset.key;
+// Re-export without leaving the current race
+function exportArchivedRaceToPDF(record) {
+    const liveState = serializeState();
+    restoreState(JSON.parse(JSON.stringify(record)));
+    try {
+        exportToPDF();
+    } finally {
+        restoreState(liveState);
+    }
+}
 
-        if (value === 'C') {
-            inputAthleteNumber.value = '';
-        } else if (value === 'backspace') {
-            inputAthleteNumber.value = inputAthleteNumber.value.slice(0, -1);
-        } else {
-            inputAthleteNumber.value += value;
-        }
+function openArchivedRace(record) {
+    // Checked before leaving the live race, so an unreadable record changes nothing
+    let data;
+    try {
+        data = readStateData(JSON.parse(JSON.stringify(record)));
+    } catch (error) {
+        showDialog('⚠️', 'Gara non leggibile', `Impossibile aprire la gara archiviata: ${error.message}`, true);
+        return;
+    }
 
-        autoFillAthleteData();
-        updateKeyboardPointsButtons();
-        inputAthleteNumber.focus();
-    });
-});
+    if (!viewingArchive) {
+        archiveLiveState = serializeState();
+        archiveLiveScreen = configScreen.classList.contains('hidden') ? 'race' : 'config';
+    }
+    viewingArchive = true;
+    restoreState(data);
+    closeArchive();
+    closeChampionship();
+
+    raceScreen.classList.add('archive-view');
+    document.getElementById('archiveViewTitle').textContent = `📂 ${formatArchiveDate(record.endedAt)}`;
+    showRaceScreen();
+}
 
-// ========== DIALOG SYSTEM ==========
-const dialogOverlay = document.getElementById('dialogOverlay');
-const dialogIcon = document.getElementById('dialogIcon');
-const dialogTitle = document.getElementById('dialogTitle');
-const dialogMessage = document.getElementById('dialogMessage');
-const dialogCancel = document.getElementById('dialogCancel');
-const dialogConfirm = document.getElementById('dialogConfirm');
-let dialogCallback = null;
+function closeArchivedRace() {
+    viewingArchive = false;
+    restoreState(archiveLiveState);
+    archiveLiveState = null;
+    raceScreen.classList.remove('archive-view');
 
-function showDialog(icon, title, message, onConfirm) {
-    dialogIcon.textContent = icon;
-    dialogTitle.textContent = title;
-    dialogMessage.textContent = message;
-    dialogCallback = onConfirm;
-    dialogOverlay.classList.remove('hidden');
+    if (archiveLiveScreen === 'race') {
+        showRaceScreen();
+    } else {
+        raceScreen.classList.add('hidden');
+        configScreen.classList.remove('hidden');
+    }
 }
 
-function closeDialog() {
-    dialogOverlay.classList.add('hidden');
-    dialogCallback = null;
+function openArchive() {
+    archiveOverlay.classList.remove('hidden');
+    renderArchive();
 }
 
-dialogCancel.addEventListener('click', closeDialog);
-dialogConfirm.addEventListener('click', () => {
-    if (dialogCallback) {
-        dialogCallback();
-    }
-    closeDialog();
+function closeArchive() {
+    archiveOverlay.classList.add('hidden');
+}
+
+document.querySelectorAll('[data-open-archive]').forEach(btn => {
+    btn.addEventListener('click', openArchive);
 });
+document.getElementById('btnCloseArchive').addEventListener('click', closeArchive);
+archiveSearchInput.addEventListener('input', renderArchive);
+document.getElementById('btnCloseArchivedRace').addEventListener('click', closeArchivedRace);
+document.getElementById('btnExportArchivedRace').addEventListener('click', () => exportToPDF());
 
-// ========== INITIALIZATION ==========
-// Try to load from localStorage
-if (loadFromLocalStorage()) {
-    // Resume from saved state
+// Show the race screen for the race in the state (resumed, or opened from the archive)
+function showRaceScreen() {
     configScreen.classList.add('hidden');
     raceScreen.classList.remove('hidden');
     updateRaceHeader();
     renderLeaderboard();
 
-    if (state.raceStarted) {
-        btnStartRace.classList.add('hidden');
-        btnOpenKeyboard.classList.remove('hidden');
-    }
-
-    if (state.lapsRemaining === 0 && !state.raceEnded) {
-        btnEndRace.classList.remove('hidden');
-    }
+    btnStartRace.classList.toggle('hidden', state.raceStarted);
+    btnOpenKeyboard.classList.toggle('hidden', !state.raceStarted || state.raceEnded);
 
+    updateEndRaceButton();
     updateUndoButton();
+    updateUndoRedoButtons();
     updateLastCheckpointSummary();
+    updateNextHeatButton();
+    renderEventResults();
 }
 
-// ========== PDF EXPORT ==========
-function exportToPDF() {
-    const { jsPDF } = window.jspdf;
-    const doc = new jsPDF();
-
-    // Title
-    doc.setFontSize(20);
-    doc.text('Gara a Punti - Pattinaggio', 105, 20, { align: 'center' });
-
-    // Configuration info
-    doc.setFontSize(12);
-    const checkpointText = state.config.pointsFrequency === 'every_lap' ? 'Ogni giro' : 'Ogni 2 giri';
-    const configText = state.config.totalLaps.toString() + ' giri totali, Traguardi: ' + checkpointText;
-    doc.text('Configurazione: ' + configText, 105, 30, { align: 'center' });
+// ========== RACE FILE (EXPORT / IMPORT) ==========
+// The whole race as a JSON file, to carry on scoring on another device
+const raceFileInput = document.getElementById('raceFileInput');
+
+function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
 
-    // Date and time
+function exportRaceFile() {
     const now = new Date();
     const dateStr = now.toLocaleDateString('it-IT', { day: '2-digit', month: '2-digit', year: 'numeric' });
     const timeStr = now.toLocaleTimeString('it-IT', { hour: '2-digit', minute: '2-digit' });
-    doc.setFontSize(10);
-    doc.text(`Esportato il ${dateStr} alle ${timeStr}`, 105, 37, { align: 'center' });
+    const data = { ...serializeState(), exportedAt: now.toISOString() };
+    downloadFile(
+        `gara_punti_${dateStr.replace(/\//g, '-')}_${timeStr.replace(/:/g, '-')}.json`,
+        JSON.stringify(data, null, 2),
+        'application/json'
+    );
+}
 
-    // Leaderboard header
-    doc.setFontSize(14);
-    doc.text('Classifica Finale', 20, 50);
+// Summary of migrated race data, shown before it replaces the race on this device
+function describeRaceData(data) {
+    const checkpoint = data.currentCheckpoint;
+    const completed = data.checkpointHistory
+        .filter(entry => entry.number < checkpoint.number || checkpoint.type === 'closed').length;
+    const progress = data.raceEnded ? 'Gara terminata.' :
+        !data.raceStarted ? 'Gara non ancora partita.' :
+        checkpoint.type === 'closed' ? 'Traguardi completati, manca la fine gara.' :
+        `In corso: traguardo ${checkpoint.number}, ${checkpoint.assignedAthletes.length} assegnazioni registrate.`;
+    return `${RACE_TYPE_LABELS[data.config.raceType]} • ${data.config.totalLaps} giri • ${data.athletes.length} atleti • ${completed} traguardi completati. ${progress}`;
+}
 
-    // Get sorted athletes with tiebreaker logic (same as renderLeaderboard)
-    const sortedAthletes = Array.from(state.athletes.values()).sort((a, b) => {
-        // First: disqualified athletes go to bottom (after lapped)
-        if (a.status === 'disqualified' && b.status !== 'disqualified') return 1;
-        if (a.status !== 'disqualified' && b.status === 'disqualified') return -1;
-
-        // Second: lapped athletes go after normal, before disqualified
-        if (a.status === 'lapped' && b.status !== 'lapped') return 1;
-        if (a.status !== 'lapped' && b.status === 'lapped') return -1;
-
-        // Third: sort by total points (descending)
-        if (b.points !== a.points) {
-            return b.points - a.points;
-        }
+// Continue scoring the given race on this device
+function resumeRace(data, logMessage) {
+    restoreState(data);
+    pendingDeadHeat = [];
+    activeCategory = null;
+    clearUndoHistory();
+    logAction(logMessage);
+    saveToLocalStorage();
+    closeAthleteMenu();
+    showRaceScreen();
+    updateNeutralizeButton();
+}
+
+async function importRaceFile(file) {
+    let data;
+    try {
+        data = readStateData(JSON.parse(await file.text()));
+    } catch (error) {
+        showDialog('⚠️', 'File non valido', `Impossibile riprendere la gara: ${error.message}`, true);
+        return;
+    }
 
-        // Fourth: if equal points, sort by final checkpoint performance
-        const aFinal = getFinalCheckpointPoints(a.number);
-        const bFinal = getFinalCheckpointPoints(b.number);
+    const exportedText = data.exportedAt ? ` Esportata il ${formatArchiveDate(data.exportedAt)}.` : '';
+    showDialog(
+        '📥',
+        'Riprendere questa gara?',
+        `${describeRaceData(data)}${exportedText} La gara presente su questo dispositivo verrà sostituita.`,
+        () => resumeRace(data, `Gara importata da file (${file.name})`)
+    );
+}
 
-        // If we have final checkpoint data, use it for tiebreaker
-        if (aFinal && bFinal) {
-            // First compare by points in final checkpoint (higher is better)
-            if (bFinal.points !== aFinal.points) {
-                return bFinal.points - aFinal.points;
-            }
-            // If same points in final checkpoint, earlier arrival wins (lower order is better)
-            return aFinal.order - bFinal.order;
+document.getElementById('btnExportRaceFile').addEventListener('click', exportRaceFile);
+document.querySelectorAll('[data-import-race]').forEach(btn => {
+    btn.addEventListener('click', () => raceFileInput.click());
+});
+raceFileInput.addEventListener('change', () => {
+    if (raceFileInput.files.length > 0) importRaceFile(raceFileInput.files[0]);
+    raceFileInput.value = '';
+});
+
+// ========== SAVE RECOVERY ==========
+// Shown at startup when the saved race cannot be read (damaged, or written by a newer version)
+const recoveryOverlay = document.getElementById('recoveryOverlay');
+const recoveryList = document.getElementById('recoveryList');
+
+function openRecovery() {
+    const snapshots = getSaveSnapshots();
+    recoveryOverlay.classList.remove('hidden');
+
+    if (snapshots.length === 0) {
+        recoveryList.innerHTML = '<p class="championship-empty">Nessuna copia automatica leggibile.</p>';
+        return;
+    }
+
+    recoveryList.innerHTML = `<ul class="last-checkpoint-summary-list">${snapshots.map((snapshot, index) => `
+        <li class="last-checkpoint-summary-item archive-item">
+            <span>
+                <strong>${formatArchiveDate(snapshot.savedAt)}${index === 0 ? ' • più recente' : ''}</strong><br>
+                ${describeRaceData(snapshot.data)}
+            </span>
+            <button type="button" class="submenu-btn${index === 0 ? ' submenu-btn-confirm' : ''}" data-recover-snapshot="${index}">Ripristina</button>
+        </li>`).join('')}</ul>`;
+
+    recoveryList.querySelectorAll('[data-recover-snapshot]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const snapshot = snapshots[parseInt(btn.dataset.recoverSnapshot)];
+            closeRecovery();
+            resumeRace(snapshot.data, `Gara ripristinata dalla copia automatica del ${formatArchiveDate(snapshot.savedAt)}`);
+        });
+    });
+}
+
+function closeRecovery() {
+    recoveryOverlay.classList.add('hidden');
+}
+
+// The unreadable save can be kept aside before it is replaced
+document.getElementById('btnDownloadDamagedSave').addEventListener('click', () => {
+    downloadFile('gara_punti_salvataggio_danneggiato.json', localStorage.getItem('raceState') || '', 'application/json');
+});
+document.getElementById('btnDiscardDamagedSave').addEventListener('click', () => {
+    showDialog(
+        '🗑️',
+        'Iniziare una nuova gara?',
+        'Il salvataggio danneggiato verrà eliminato. Le copie automatiche restano disponibili fino ai prossimi salvataggi.',
+        () => {
+            clearLocalStorage();
+            closeRecovery();
         }
+    );
+});
+
+// ========== INITIALIZATION ==========
+// Try to load from localStorage
+if (loadFromLocalStorage()) {
+    // Resume from saved state
+    showRaceScreen();
+} else if (localStorage.getItem('raceState')) {
+    openRecovery();
+}
 
-        // No tiebreaker available, keep original order
-        return 0;
+// ========== PDF EXPORT ==========
+// Ranking table of the PDF export, starting at yPos; returns the y after the last row
+function drawLeaderboardTable(doc, sortedAthletes, yPos) {
+    const showLaps = sortedAthletes.some(a => a.lapDelta);
+    const detailFields = getAthleteDetailFields(sortedAthletes);
+    // Athlete details need room: smaller text, narrower name columns and a wider table
+    const compact = detailFields.length > 0;
+    const detailWidths = { club: 30, category: 18, licence: 16 };
+
+    const columns = [
+        { header: 'Pos', width: compact ? 9 : 15, value: (athlete, index) =>
+            isAthleteWithdrawn(athlete) ? WITHDRAWAL_STATUSES[athlete.status].code :
+            athlete.status === 'lapped' ? 'D' :
+            (index + 1).toString() },
+        { header: 'Num', width: compact ? 12 : 20, value: athlete => `#${athlete.number}` },
+        { header: 'Nome', width: compact ? 22 : 40, value: athlete => athlete.name || '' },
+        { header: 'Cognome', width: compact ? 26 : 30, value: athlete => athlete.surname || '' },
+        ...detailFields.map(field => ({ header: field.label, width: detailWidths[field.key], value: athlete => athlete[field.key] })),
+        ...(showLaps ? [{ header: 'Giri', width: compact ? 9 : 15, value: athlete => formatLapDelta(athlete.lapDelta) }] : []),
+        ...(raceAwardsPoints() ? [{ header: 'Punti', width: compact ? 12 : 25, value: athlete => formatPoints(athlete.points) }] : []),
+        { header: 'Stato', width: compact ? 24 : 25, value: athlete =>
+            isAthleteWithdrawn(athlete) ? WITHDRAWAL_STATUSES[athlete.status].label :
+            athlete.status === 'lapped' ? (athlete.lappedAt ? `Doppiato (T${athlete.lappedAt})` : 'Doppiato') :
+            athlete.status === 'eliminated' ? `Eliminato (T${athlete.eliminatedAt})` :
+            '' }
+    ];
+    let x = compact ? 15 : 20;
+    columns.forEach(column => {
+        column.x = x;
+        x += column.width;
     });
 
     // Table headers
-    doc.setFontSize(10);
+    doc.setFontSize(compact ? 8 : 10);
     doc.setFont(undefined, 'bold');
-    let yPos = 60;
-    doc.text('Pos', 20, yPos);
-    doc.text('Num', 35, yPos);
-    doc.text('Nome', 55, yPos);
-    doc.text('Cognome', 95, yPos);
-    doc.text('Punti', 140, yPos);
-    doc.text('Stato', 165, yPos);
+    columns.forEach(column => doc.text(column.header, column.x, yPos));
 
     // Draw line under header
-    doc.line(20, yPos + 2, 190, yPos + 2);
+    doc.line(columns[0].x, yPos + 2, Math.max(x, 190), yPos + 2);
 
     // Table rows
     doc.setFont(undefined, 'normal');
@@ -1562,26 +5073,89 @@ function exportToPDF() {
             yPos = 20;
         }
 
-        const position = athlete.status === 'disqualified' ? 'SQ' :
-                        athlete.status === 'lapped' ? 'D' :
-                        (index + 1).toString();
-
-        const statusText = athlete.status === 'disqualified' ? 'Squalificato' :
-                          athlete.status === 'lapped' ? 'Doppiato' :
-                          '';
-
-        doc.text(position, 20, yPos);
-        doc.text(`#${athlete.number}`, 35, yPos);
-        doc.text(athlete.name || '', 55, yPos);
-        doc.text(athlete.surname || '', 95, yPos);
-        doc.text(athlete.points.toString(), 140, yPos);
-        if (statusText) {
-            doc.text(statusText, 165, yPos);
-        }
+        columns.forEach(column => {
+            const text = column.value(athlete, index);
+            // Long names and clubs are cut to their column
+            if (text) doc.text(doc.splitTextToSize(text, column.width - 2)[0], column.x, yPos);
+        });
 
         yPos += 7;
     });
 
+    return yPos;
+}
+
+// Club classification on its own page, when athletes carry a club
+function drawTeamStanding(doc) {
+    const standing = getTeamStanding();
+    if (standing.length === 0) return;
+
+    doc.addPage();
+    doc.setFontSize(14);
+    doc.setFont(undefined, 'bold');
+    doc.text('Classifica Società', 20, 20);
+    doc.setFontSize(10);
+    doc.setFont(undefined, 'normal');
+    doc.text(getTeamRulesDescription(), 20, 27);
+
+    let yPos = 37;
+    doc.setFont(undefined, 'bold');
+    doc.text('Pos', 20, yPos);
+    doc.text('Società', 35, yPos);
+    doc.text('Atleti conteggiati', 95, yPos);
+    doc.text('Punti', 175, yPos);
+    doc.line(20, yPos + 2, 190, yPos + 2);
+    doc.setFont(undefined, 'normal');
+    yPos += 10;
+
+    standing.forEach((entry, index) => {
+        const countedLines = doc.splitTextToSize(formatTeamCounted(entry), 75);
+        if (yPos + countedLines.length * 5 > 275) {
+            doc.addPage();
+            yPos = 20;
+        }
+        doc.text((index + 1).toString(), 20, yPos);
+        doc.text(doc.splitTextToSize(entry.club, 58)[0], 35, yPos);
+        doc.text(countedLines, 95, yPos);
+        doc.text(formatPoints(entry.total), 175, yPos);
+        yPos += Math.max(7, countedLines.length * 5 + 2);
+    });
+}
+
+function exportToPDF() {
+    const { jsPDF } = window.jspdf;
+    const doc = new jsPDF();
+
+    // Title
+    doc.setFontSize(20);
+    const heat = getCurrentHeat();
+    const heatText = heat ? ` - ${heat.name}` : '';
+    doc.text(`${getRaceTypeLabel()}${heatText} - Pattinaggio`, 105, 20, { align: 'center' });
+
+    // Configuration info
+    doc.setFontSize(12);
+    const checkpointText = getCheckpointFrequencyText();
+    const configText = state.config.totalLaps.toString() + ' giri totali, Traguardi: ' + checkpointText;
+    doc.text('Configurazione: ' + configText, 105, 30, { align: 'center' });
+    doc.setFontSize(10);
+    if (raceAwardsPoints()) {
+        doc.text('Punteggio: ' + getScoringDescription(), 105, 36, { align: 'center' });
+    }
+
+    // Date and time
+    const now = new Date();
+    const dateStr = now.toLocaleDateString('it-IT', { day: '2-digit', month: '2-digit', year: 'numeric' });
+    const timeStr = now.toLocaleTimeString('it-IT', { hour: '2-digit', minute: '2-digit' });
+    doc.setFontSize(10);
+    doc.text(`Esportato il ${dateStr} alle ${timeStr}`, 105, 42, { align: 'center' });
+
+    // Leaderboard header
+    doc.setFontSize(14);
+    doc.text('Classifica Finale', 20, 50);
+
+    // Get sorted athletes with tiebreaker logic (same as renderLeaderboard)
+    let yPos = drawLeaderboardTable(doc, getSortedAthletes(), 60);
+
     // Add checkpoints summary section
     yPos += 10; // Extra spacing
     if (yPos > 250) {
@@ -1607,26 +5181,31 @@ function exportToPDF() {
 
             // Add points assignments
             if (checkpoint.athletes && checkpoint.athletes.length > 0) {
-                // Sort athletes by points in descending order
-                const sortedAthletes = [...checkpoint.athletes].sort((a, b) => b.points - a.points);
+                // Sort athletes by points in descending order (arrival order is kept as entered)
+                const sortedAthletes = checkpoint.type === 'finish'
+                    ? checkpoint.athletes
+                    : [...checkpoint.athletes].sort((a, b) => comparePoints(b.points, a.points));
 
-                sortedAthletes.forEach(assignment => {
+                sortedAthletes.forEach((assignment, index) => {
                     const athlete = state.athletes.get(assignment.number);
                     const nameDisplay = athlete && (athlete.name || athlete.surname)
                         ? ` ${athlete.name || ''} ${athlete.surname || ''}`.trim()
                         : '';
                     const separator = nameDisplay ? ' ' : '';
-                    parts.push(`#${assignment.number}${separator}${nameDisplay} (${assignment.points}pt)`);
+                    const result = formatAssignmentResult(checkpoint.type, assignment, index);
+                    parts.push(`#${assignment.number}${separator}${nameDisplay} (${result})`);
                 });
             }
 
-            if (parts.length > 0) {
+            if (parts.length > 0 || checkpoint.neutralized) {
                 if (yPos > 275) {
                     doc.addPage();
                     yPos = 20;
                 }
 
-                const line = `Traguardo ${checkpoint.number}: ${parts.join('; ')}`;
+                const voidText = checkpoint.neutralized ? ` NEUTRALIZZATO (${checkpoint.voidReason})` : '';
+                const label = checkpoint.type === 'finish' ? 'Ordine di arrivo' : `Traguardo ${checkpoint.number}`;
+                const line = `${label}${voidText}: ${parts.length > 0 ? parts.join('; ') : 'nessuna assegnazione'}`;
                 const splitText = doc.splitTextToSize(line, 170);
 
                 splitText.forEach(textLine => {
@@ -1643,6 +5222,57 @@ function exportToPDF() {
         doc.text('Nessun traguardo completato', 20, yPos);
     }
 
+    // Add sanctions section
+    const sanctionedAthletes = Array.from(state.athletes.values())
+        .filter(athlete => athlete.sanctions.length > 0)
+        .sort((a, b) => a.number - b.number);
+
+    if (sanctionedAthletes.length > 0) {
+        yPos += 10;
+        if (yPos > 250) {
+            doc.addPage();
+            yPos = 20;
+        }
+
+        doc.setFontSize(14);
+        doc.setFont(undefined, 'bold');
+        doc.text('Sanzioni', 20, yPos);
+        yPos += 10;
+
+        doc.setFontSize(10);
+        doc.setFont(undefined, 'normal');
+
+        sanctionedAthletes.forEach(athlete => {
+            const nameDisplay = athlete.name || athlete.surname
+                ? ` ${athlete.name || ''} ${athlete.surname || ''}`.trim()
+                : '';
+            athlete.sanctions.forEach(sanction => {
+                const revokedText = sanction.revoked ? ' (ANNULLATA)' : '';
+                const line = `#${athlete.number}${nameDisplay ? ' ' : ''}${nameDisplay}: ${formatSanction(sanction)}${revokedText}`;
+                doc.splitTextToSize(line, 170).forEach(textLine => {
+                    if (yPos > 275) {
+                        doc.addPage();
+                        yPos = 20;
+                    }
+                    doc.text(textLine, 20, yPos);
+                    yPos += 6;
+                });
+            });
+        });
+    }
+
+    // One page per category with its own ranking
+    getCategories().forEach(category => {
+        doc.addPage();
+        doc.setFontSize(14);
+        doc.setFont(undefined, 'bold');
+        doc.text(`Classifica ${category}`, 20, 20);
+        doc.setFont(undefined, 'normal');
+        drawLeaderboardTable(doc, getSortedAthletes(category), 30);
+    });
+
+    drawTeamStanding(doc);
+
     // Footer on last page
     doc.setFontSize(8);
     const pageCount = doc.internal.getNumberOfPages();
@@ -1657,3 +5287,61 @@ function exportToPDF() {
     doc.save(filename);
 }
 
+function exportChampionshipToPDF() {
+    const { jsPDF } = window.jspdf;
+    const doc = new jsPDF();
+    const standing = getChampionshipStanding();
+
+    doc.setFontSize(20);
+    doc.text(championship.name || 'Campionato - Pattinaggio', 105, 20, { align: 'center' });
+
+    doc.setFontSize(10);
+    doc.text(`Punti: ${formatPointsScale(championship.pointsTable)} • Parità: ${CHAMPIONSHIP_TIEBREAK_LABELS[championship.tiebreak]}`, 105, 28, { align: 'center' });
+
+    let yPos = 38;
+    championship.rounds.forEach((round, i) => {
+        doc.text(`P${i + 1}: ${round.name} - ${RACE_TYPE_LABELS[round.raceType]} - ${round.date}`, 20, yPos);
+        yPos += 6;
+    });
+
+    // Standing header
+    yPos += 6;
+    doc.setFontSize(14);
+    doc.text('Classifica Campionato', 20, yPos);
+    yPos += 10;
+
+    doc.setFontSize(10);
+    doc.setFont(undefined, 'bold');
+    doc.text('Pos', 20, yPos);
+    doc.text('Num', 35, yPos);
+    doc.text('Atleta', 55, yPos);
+    doc.text('Prove', 120, yPos);
+    doc.text('Punti', 175, yPos);
+    doc.line(20, yPos + 2, 190, yPos + 2);
+    doc.setFont(undefined, 'normal');
+    yPos += 10;
+
+    standing.forEach((entry, index) => {
+        if (yPos > 270) {
+            doc.addPage();
+            yPos = 20;
+        }
+        doc.text((index + 1).toString(), 20, yPos);
+        doc.text(`#${entry.number}`, 35, yPos);
+        doc.text(`${entry.surname || ''} ${entry.name || ''}`.trim(), 55, yPos);
+        doc.text(entry.roundPoints.map(points => (points === null ? '-' : points)).join(' / '), 120, yPos);
+        doc.text(entry.total.toString(), 175, yPos);
+        yPos += 7;
+    });
+
+    doc.setFontSize(8);
+    const pageCount = doc.internal.getNumberOfPages();
+    for (let i = 1; i <= pageCount; i++) {
+        doc.setPage(i);
+        doc.text(`Pagina ${i} di ${pageCount}`, 105, 287, { align: 'center' });
+        doc.text('Generato da Gara a Punti - Pattinaggio', 105, 292, { align: 'center' });
+    }
+
+    const dateStr = new Date().toLocaleDateString('it-IT', { day: '2-digit', month: '2-digit', year: 'numeric' });
+    doc.save(`campionato_${dateStr.replace(/\//g, '-')}.pdf`);
+}